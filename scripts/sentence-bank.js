@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+// Import or export the curated sentence bank.
+//
+//   node scripts/sentence-bank.js import lessons.csv [--level 2]
+//   node scripts/sentence-bank.js export [--format csv] [--level 2] [--source bank] [--out bank.csv]
+//
+// The format follows the file extension on import (.json or .csv).
+const fs = require('fs');
+const path = require('path');
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { command, positional: [] };
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i].startsWith('--')) {
+      options[rest[i].slice(2)] = rest[i + 1];
+      i++;
+    } else {
+      options.positional.push(rest[i]);
+    }
+  }
+  return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+// Keep stdout clean for `export > file`; the database logs on load
+if (options.command === 'export' && !options.out) {
+  console.log = (...args) => console.error(...args);
+}
+
+const database = require('../src/database');
+const sentenceBank = require('../src/services/sentenceBank');
+
+async function runImport(options) {
+  const [file] = options.positional;
+  if (!file) throw new Error('Usage: sentence-bank.js import <file.json|file.csv> [--level N]');
+
+  const format = path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json';
+  const records = sentenceBank.parse(fs.readFileSync(file, 'utf8'), format);
+  const result = await sentenceBank.importLessons(records, { defaultLevel: options.level });
+
+  result.errors.forEach(({ row, russian_text: text, errors }) => {
+    console.error(`❌ Row ${row} (${text || 'no text'}): ${errors.join('; ')}`);
+  });
+  console.log(`✅ Imported ${result.imported}, skipped ${result.skipped} duplicates, rejected ${result.errors.length}`);
+  return result.errors.length === 0;
+}
+
+async function runExport(options) {
+  const format = options.format === 'csv' ? 'csv' : 'json';
+  const lessons = await sentenceBank.exportLessons({
+    difficultyLevel: options.level ? parseInt(options.level, 10) : null,
+    source: options.source || null
+  });
+  const output = sentenceBank.format(lessons, format);
+
+  if (options.out) {
+    fs.writeFileSync(options.out, output);
+    console.log(`✅ Exported ${lessons.length} lessons to ${options.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+  return true;
+}
+
+async function main() {
+  await database.ready;
+  let ok;
+  try {
+    if (options.command === 'import') {
+      ok = await runImport(options);
+    } else if (options.command === 'export') {
+      ok = await runExport(options);
+    } else {
+      throw new Error('Usage: sentence-bank.js <import|export> ...');
+    }
+  } finally {
+    await database.close();
+  }
+  process.exit(ok ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
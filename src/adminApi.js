@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const express = require('express');
+const config = require('./config');
+const database = require('./database');
+const messageQueue = require('./messageQueue');
+const lessonDrafts = require('./services/lessonDrafts');
+const { parseWordBreakdown } = require('./services/lessonFormatter');
+
+const CONTACT_STATUSES = ['new', 'read', 'replied'];
+
+// Compare digests so the check takes the same time whatever the token length
+function tokenMatches(provided, expected) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(expected));
+}
+
+// Every admin route needs `Authorization: Bearer <ADMIN_API_TOKEN>`
+function requireAdminToken(req, res, next) {
+  if (!config.ADMIN_API_TOKEN) {
+    return res.status(503).json({ error: 'Admin API is disabled (ADMIN_API_TOKEN not set)' });
+  }
+
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token || !tokenMatches(token, config.ADMIN_API_TOKEN)) {
+    console.warn(`⚠️ Rejected admin API request from ${req.ip}`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+function getPaging(query) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  return { limit, offset };
+}
+
+// Routes for the dashboard in public/admin.html, mounted at /api/admin
+function createAdminRouter({ scheduler }) {
+  const router = express.Router();
+  router.use(requireAdminToken);
+
+  // Wraps async handlers so a rejected promise becomes a 500 instead of a hung request
+  const handle = (name, handler) => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error(`❌ Admin API ${name} error:`, error);
+      res.status(500).json({ error: 'Internal error' });
+    }
+  };
+
+  router.get('/users', handle('users', async (req, res) => {
+    const users = await database.searchUsers({
+      query: (req.query.q || '').trim() || null,
+      difficultyLevel: parseInt(req.query.level, 10) || null,
+      ...getPaging(req.query)
+    });
+    res.json({ users });
+  }));
+
+  router.get('/users/:id', handle('user', async (req, res) => {
+    const user = await database.getUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const [activity, lastDelivery] = await Promise.all([
+      database.getUserActivity(user.telegram_user_id),
+      database.getLastDelivery(user.telegram_user_id)
+    ]);
+    res.json({ user, activity, lastDelivery: lastDelivery || null });
+  }));
+
+  // Today's lessons (bot timezone), grouped by level and ordered by slot
+  router.get('/lessons/today', handle('lessons', async (req, res) => {
+    const lessonDate = lessonDrafts.getLessonDate();
+    const drafts = await database.getLessonDrafts(lessonDate);
+
+    const levels = {};
+    for (const draft of drafts) {
+      (levels[draft.difficulty_level] = levels[draft.difficulty_level] || []).push({
+        ...draft,
+        word_breakdown: parseWordBreakdown(draft.word_breakdown),
+        released: lessonDrafts.isReleased(draft)
+      });
+    }
+    res.json({ lessonDate, levels });
+  }));
+
+  router.get('/progress', handle('progress', async (req, res) => {
+    const progress = await database.getProgress({
+      telegramUserId: (req.query.user || '').trim() || null,
+      ...getPaging(req.query)
+    });
+    res.json({ progress });
+  }));
+
+  router.get('/contact', handle('contact', async (req, res) => {
+    const status = CONTACT_STATUSES.includes(req.query.status) ? req.query.status : null;
+    const messages = await database.getContactMessages({ status, ...getPaging(req.query) });
+    res.json({ messages });
+  }));
+
+  router.post('/contact/:id', handle('contact update', async (req, res) => {
+    const status = req.body && req.body.status;
+    if (!CONTACT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${CONTACT_STATUSES.join(', ')}` });
+    }
+
+    const changes = await database.updateContactMessage(req.params.id, { status });
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json({ message: await database.getContactMessage(req.params.id) });
+  }));
+
+  router.get('/queue', (req, res) => {
+    res.json(messageQueue.getStatus());
+  });
+
+  router.post('/queue/pause', (req, res) => {
+    messageQueue.pause();
+    res.json(messageQueue.getStatus());
+  });
+
+  router.post('/queue/resume', (req, res) => {
+    messageQueue.unpause();
+    res.json(messageQueue.getStatus());
+  });
+
+  router.post('/queue/clear', handle('queue clear', async (req, res) => {
+    await messageQueue.clearQueue();
+    res.json(messageQueue.getStatus());
+  }));
+
+  // Re-queue today's lesson for one user ({ telegramUserId }) or for every active user
+  router.post('/resend', handle('resend', async (req, res) => {
+    const telegramUserId = req.body && req.body.telegramUserId ? String(req.body.telegramUserId) : null;
+    let users;
+    if (telegramUserId) {
+      const user = await database.getUser(telegramUserId);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      users = [user];
+    } else {
+      users = await scheduler.getActiveUsers();
+    }
+
+    console.log(`🔁 Admin resend for ${telegramUserId || `${users.length} active users`}`);
+    await scheduler.sendDailyMessages(users);
+    res.json({ status: 'queued', users: users.length });
+  }));
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
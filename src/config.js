@@ -12,11 +12,37 @@ module.exports = {
   DEEPSEEK_API_KEY: process.env.DEEPSEEK_API_KEY,
   DEEPSEEK_API_URL: 'https://api.deepseek.com/v1/chat/completions',
 
+  // Sentence generation backend: deepseek | openai | llamacpp | ollama | fixture (offline, deterministic).
+  // URL/key/model default per provider; deepseek falls back to the DEEPSEEK_* settings above.
+  LLM: {
+    PROVIDER: process.env.LLM_PROVIDER || 'deepseek',
+    API_URL: process.env.LLM_API_URL,
+    API_KEY: process.env.LLM_API_KEY,
+    MODEL: process.env.LLM_MODEL,
+    // json_object | json_schema | json_object_schema (see services/llm/openaiCompatible.js)
+    STRUCTURED_OUTPUT: process.env.LLM_STRUCTURED_OUTPUT,
+    TIMEOUT_MS: 60000,
+    // Re-prompts with the validation errors before a generation attempt is given up
+    MAX_REPAIR_ATTEMPTS: 2
+  },
+
   // Database
   DATABASE_PATH: process.env.DATABASE_PATH || './data/bot.db',
 
   // Server
   PORT: process.env.PORT || 3000,
+  // Bearer token for /api/admin; the admin API is disabled while unset
+  ADMIN_API_TOKEN: process.env.ADMIN_API_TOKEN || null,
+
+  // Website contact form
+  CONTACT: {
+    MAX_LENGTH: parseInt(process.env.CONTACT_MAX_LENGTH, 10) || 2000,
+    // At most RATE_LIMIT submissions per IP within RATE_WINDOW_MINUTES
+    RATE_LIMIT: parseInt(process.env.CONTACT_RATE_LIMIT, 10) || 3,
+    RATE_WINDOW_MINUTES: parseInt(process.env.CONTACT_RATE_WINDOW_MINUTES, 10) || 60
+  },
+  // How long SIGTERM/SIGINT waits for the message queue to drain before exiting
+  SHUTDOWN_TIMEOUT_MS: 15000,
   NODE_ENV: process.env.NODE_ENV || 'development',
 
   // Timezone
@@ -31,8 +57,102 @@ module.exports = {
     5: { name: 'Expert', description: 'complex grammar, idioms, literary Russian' }
   },
 
-  // Message schedule: once daily at 11:00 Tokyo time
-  DAILY_MESSAGE_CRON: '0 11 * * *',
+  // Pronunciation guides: learner (plain ASCII) | bgn (BGN/PCGN) | iso9 (ISO 9)
+  TRANSLITERATION_SCHEME: process.env.TRANSLITERATION_SCHEME || 'learner',
+
+  // Lesson audio: espeak (eSpeak NG) | piper | none. Both engines run locally and need ffmpeg.
+  TTS: {
+    PROVIDER: process.env.TTS_PROVIDER || 'espeak',
+    CACHE_DIR: process.env.TTS_CACHE_DIR || './data/audio',
+    ESPEAK_PATH: process.env.TTS_ESPEAK_PATH || 'espeak-ng',
+    ESPEAK_VOICE: 'ru',
+    ESPEAK_SPEED: 130, // words per minute; a little slower than the default 175 for learners
+    PIPER_PATH: process.env.TTS_PIPER_PATH || 'piper',
+    PIPER_MODEL: process.env.TTS_PIPER_MODEL,
+    FFMPEG_PATH: process.env.FFMPEG_PATH || 'ffmpeg',
+    TIMEOUT_MS: 30000
+  },
+
+  // Voice-note practice: whisper (whisper.cpp CLI) | none
+  STT: {
+    PROVIDER: process.env.STT_PROVIDER || 'whisper',
+    WHISPER_PATH: process.env.STT_WHISPER_PATH || 'whisper-cli',
+    WHISPER_MODEL: process.env.STT_WHISPER_MODEL || './models/ggml-base.bin',
+    LANGUAGE: 'ru',
+    MAX_DURATION_SECONDS: 30, // longer voice notes are not worth transcribing for one sentence
+    TIMEOUT_MS: 60000
+  },
+
+  // Message schedule: the scheduler wakes up hourly and sends to users whose
+  // local time matches their chosen delivery hour (default 11:00 Tokyo time)
+  DELIVERY_TICK_CRON: '0 * * * *',
+  DEFAULT_DELIVERY_HOUR: 11,
+
+  // Extra lessons per day are spread across this many hours after the delivery hour
+  MAX_LESSONS_PER_DAY: 5,
+  LESSON_WINDOW_HOURS: 12,
+
+  // Optional quiz offered after /start (and via /placement) to pick a starting level
+  PLACEMENT: {
+    QUESTIONS: 6,
+    START_LEVEL: 2
+  },
+
+  // "🧠 Quiz me" sessions are dropped after this long, or as soon as a new lesson arrives
+  QUIZ: {
+    SESSION_MINUTES: 30
+  },
+
+  // Extra lessons from /next each cost an LLM call, so they are capped per user per local day
+  ON_DEMAND: {
+    DAILY_LIMIT: parseInt(process.env.ON_DEMAND_DAILY_LIMIT, 10) || 3
+  },
+
+  // Tomorrow's lessons are drafted at 18:00 and sent to ADMIN_TELEGRAM_ID for review;
+  // drafts still pending at 23:00 are auto-approved so sends never wait on a human
+  LESSON_REVIEW: {
+    PREGENERATE_CRON: '0 18 * * *',
+    AUTO_APPROVE_CRON: '0 23 * * *'
+  },
+
+  // Timezones offered in the settings menu (any IANA zone works via /timezone)
+  TIMEZONE_CHOICES: [
+    'America/Los_Angeles',
+    'America/New_York',
+    'America/Sao_Paulo',
+    'Europe/London',
+    'Europe/Berlin',
+    'Europe/Moscow',
+    'Asia/Dubai',
+    'Asia/Kolkata',
+    'Asia/Bangkok',
+    'Asia/Shanghai',
+    'Asia/Tokyo',
+    'Australia/Sydney'
+  ],
+
+  // Progress summary sent on Sundays at this local hour
+  WEEKLY_SUMMARY_HOUR: 18,
+
+  // The admin gets one summary of the day's lessons at this hour (bot timezone)
+  ADMIN_SUMMARY_HOUR: 23,
+
+  // Spaced-repetition review reminders: 19:00 in each user's timezone
+  REVIEW: {
+    REMINDER_HOUR: 19,
+    RELEARN_MINUTES: 10, // "Again" brings a card back after this long
+    FIRST_REVIEW_DAYS: 1 // lessons become due for review this long after delivery
+  },
+
+  // Telegram send limits: ~30 messages/sec overall and ~1/sec per chat
+  MESSAGE_QUEUE: {
+    GLOBAL_PER_SECOND: 25,
+    BURST: 5,
+    PER_CHAT_INTERVAL_MS: 1000,
+    TICK_MS: 50,
+    MAX_RETRIES: 3,
+    RETRY_BASE_MS: 5000
+  },
 
   // Grading thresholds
   GRADING: {
@@ -40,5 +160,14 @@ module.exports = {
     GOOD: 70,
     FAIR: 50,
     POOR: 30
+  },
+
+  // Suggest a level change once SHARE of the last WINDOW graded attempts (at least
+  // MIN_ATTEMPTS) are at or above GRADING.EXCELLENT, or below GRADING.POOR
+  LEVEL_ADJUSTMENT: {
+    MIN_ATTEMPTS: 5,
+    WINDOW: 10,
+    SHARE: 0.8,
+    COOLDOWN_DAYS: 7 // before suggesting again after a prompt
   }
 };
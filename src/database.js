@@ -7,21 +7,26 @@ class Database {
     this.init();
   }
 
+  // `ready` resolves once tables exist, for startup work such as resuming the message queue
   async init() {
     const config = require('./config');
     const dbPath = config.DATABASE_PATH;
-    this.db = new sqlite3.Database(dbPath, async (err) => {
-      if (err) {
-        console.error('❌ Database connection error:', err.message);
-      } else {
-        console.log('✅ Connected to SQLite database');
-        try {
-          await this.createTables();
-        } catch (error) {
-          console.error('❌ Error creating tables:', error);
+    this.ready = new Promise((resolve) => {
+      this.db = new sqlite3.Database(dbPath, async (err) => {
+        if (err) {
+          console.error('❌ Database connection error:', err.message);
+        } else {
+          console.log('✅ Connected to SQLite database');
+          try {
+            await this.createTables();
+          } catch (error) {
+            console.error('❌ Error creating tables:', error);
+          }
         }
-      }
+        resolve();
+      });
     });
+    return this.ready;
   }
 
   createTables() {
@@ -58,25 +63,158 @@ class Database {
         grade INTEGER,
         is_correct BOOLEAN,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`
+      )`,
+      `CREATE TABLE IF NOT EXISTS deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        telegram_user_id TEXT NOT NULL,
+        sentence_id INTEGER NOT NULL,
+        kind TEXT NOT NULL DEFAULT 'daily',
+        status TEXT NOT NULL DEFAULT 'queued',
+        error TEXT,
+        sent_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE IF NOT EXISTS review_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        telegram_user_id TEXT NOT NULL,
+        sentence_id INTEGER NOT NULL,
+        ease_factor REAL DEFAULT 2.5,
+        interval_days INTEGER DEFAULT 0,
+        repetitions INTEGER DEFAULT 0,
+        due_at DATETIME NOT NULL,
+        last_rating TEXT,
+        last_reviewed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (telegram_user_id, sentence_id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS lesson_drafts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lesson_date TEXT NOT NULL,
+        difficulty_level INTEGER NOT NULL,
+        slot INTEGER NOT NULL DEFAULT 0,
+        russian_text TEXT NOT NULL,
+        english_translation TEXT,
+        word_breakdown TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        admin_message_id INTEGER,
+        sentence_id INTEGER,
+        reviewed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (lesson_date, difficulty_level, slot)
+      )`,
+      `CREATE TABLE IF NOT EXISTS message_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id TEXT NOT NULL,
+        message TEXT NOT NULL,
+        options TEXT,
+        delivery_id INTEGER,
+        state TEXT NOT NULL DEFAULT 'pending',
+        retries INTEGER DEFAULT 0,
+        max_retries INTEGER DEFAULT 3,
+        last_error TEXT,
+        next_attempt_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE IF NOT EXISTS level_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        telegram_user_id TEXT NOT NULL,
+        from_level INTEGER,
+        to_level INTEGER NOT NULL,
+        reason TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE IF NOT EXISTS vocabulary (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        telegram_user_id TEXT NOT NULL,
+        word TEXT NOT NULL,
+        display_word TEXT NOT NULL,
+        meaning TEXT,
+        sentence_id INTEGER,
+        starred INTEGER DEFAULT 0,
+        known INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (telegram_user_id, word)
+      )`,
+      `CREATE TABLE IF NOT EXISTS contact_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message TEXT NOT NULL,
+        reply_to TEXT,
+        ip TEXT,
+        status TEXT NOT NULL DEFAULT 'new',
+        admin_message_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_message_queue_state ON message_queue (state, id)`,
+      `CREATE INDEX IF NOT EXISTS idx_contact_messages_ip ON contact_messages (ip, created_at)`,
+      `CREATE INDEX IF NOT EXISTS idx_deliveries_user ON deliveries (telegram_user_id, created_at)`,
+      `CREATE INDEX IF NOT EXISTS idx_sentences_level_text ON sentences (difficulty_level, russian_text)`,
+      // Notebook keys now fold ё into е; rows that would collide with an existing е key keep their old key
+      `UPDATE OR IGNORE vocabulary SET word = REPLACE(word, 'ё', 'е') WHERE word LIKE '%ё%'`
+    ];
+
+    // Columns added after the first release; SQLite has no ADD COLUMN IF NOT EXISTS,
+    // so "duplicate column" errors on already-migrated databases are ignored
+    const columns = [
+      ['users', 'timezone', 'TEXT'],
+      ['users', 'delivery_hour', 'INTEGER'],
+      ['users', 'lessons_per_day', 'INTEGER DEFAULT 1'],
+      ['users', 'weekdays_only', 'INTEGER DEFAULT 0'],
+      ['users', 'is_active', 'INTEGER DEFAULT 1'],
+      ['users', 'paused_until', 'DATETIME'],
+      ['users', 'inactive_reason', 'TEXT'],
+      ['users', 'audio_enabled', 'INTEGER DEFAULT 1'],
+      ['users', 'level_prompted_at', 'DATETIME'],
+      ['user_progress', 'attempt_type', "TEXT DEFAULT 'text'"],
+      ['sentences', 'source', "TEXT DEFAULT 'generated'"],
+      ['sentences', 'topic', 'TEXT'],
+      ['sentences', 'grammar_point', 'TEXT'],
+      ['sentences', 'voice_file_id', 'TEXT'],
+      ['message_queue', 'type', "TEXT DEFAULT 'text'"],
+      ['deliveries', 'slot', 'INTEGER'],
+      ['deliveries', 'local_date', 'TEXT']
     ];
+    const migrations = columns.map(([table, column, definition]) =>
+      `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`
+    );
 
     return new Promise((resolve, reject) => {
       let completed = 0;
-      const total = queries.length;
-
-      queries.forEach((query, index) => {
-        this.db.run(query, (err) => {
-          if (err) {
-            console.error(`❌ Table creation error (${index + 1}):`, err.message);
-            reject(err);
-          } else {
-            completed++;
-            if (completed === total) {
-              console.log('✅ All database tables created successfully');
-              resolve();
+      const total = queries.length + migrations.length;
+
+      const done = () => {
+        completed++;
+        if (completed === total) {
+          console.log('✅ All database tables created successfully');
+          resolve();
+        }
+      };
+
+      // Serialize so indexes and migrations only run once their tables exist
+      this.db.serialize(() => {
+        queries.forEach((query, index) => {
+          this.db.run(query, (err) => {
+            if (err) {
+              console.error(`❌ Table creation error (${index + 1}):`, err.message);
+              reject(err);
+            } else {
+              done();
             }
-          }
+          });
+        });
+
+        migrations.forEach((query) => {
+          this.db.run(query, (err) => {
+            if (err && !/duplicate column/i.test(err.message)) {
+              console.error('❌ Migration error:', err.message);
+              reject(err);
+            } else {
+              done();
+            }
+          });
         });
       });
     });
@@ -119,9 +257,13 @@ class Database {
     });
   }
 
-  // CRITICAL FIX: Update user level and ensure it persists
-  async updateUserLevel(telegramUserId, level) {
-    return new Promise((resolve, reject) => {
+  // CRITICAL FIX: Update user level and ensure it persists.
+  // Actual changes are logged to level_history with a reason
+  // (manual, placement, admin, promotion, demotion).
+  async updateUserLevel(telegramUserId, level, reason = 'manual') {
+    const user = await this.getUser(telegramUserId);
+
+    const changes = await new Promise((resolve, reject) => {
       const query = `
         UPDATE users 
         SET difficulty_level = ?, updated_at = CURRENT_TIMESTAMP 
@@ -137,6 +279,165 @@ class Database {
         }
       });
     });
+
+    if (user && user.difficulty_level !== level) {
+      await this.addLevelHistory(telegramUserId, user.difficulty_level, level, reason);
+    }
+    return changes;
+  }
+
+  async addLevelHistory(telegramUserId, fromLevel, toLevel, reason) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO level_history (telegram_user_id, from_level, to_level, reason)
+        VALUES (?, ?, ?, ?)
+      `;
+      this.db.run(query, [telegramUserId, fromLevel, toLevel, reason], function(err) {
+        if (err) {
+          console.error('❌ Database addLevelHistory error:', err.message);
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
+  async getLevelHistory(telegramUserId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM level_history
+        WHERE telegram_user_id = ?
+        ORDER BY created_at DESC, id DESC
+      `;
+      this.db.all(query, [telegramUserId], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getLevelHistory error:', err.message);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  // Remember when we last suggested a level change, so declined suggestions aren't repeated daily
+  async markLevelPrompted(telegramUserId) {
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE users SET level_prompted_at = CURRENT_TIMESTAMP WHERE telegram_user_id = ?';
+      this.db.run(query, [telegramUserId], function(err) {
+        if (err) {
+          console.error('❌ Database markLevelPrompted error:', err.message);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  async updateUserSchedule(telegramUserId, { timezone, deliveryHour }) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE users
+        SET timezone = COALESCE(?, timezone),
+        delivery_hour = COALESCE(?, delivery_hour),
+        updated_at = CURRENT_TIMESTAMP
+        WHERE telegram_user_id = ?
+      `;
+      const hour = deliveryHour === undefined ? null : deliveryHour;
+      this.db.run(query, [timezone || null, hour, telegramUserId], function(err) {
+        if (err) {
+          console.error('❌ Database updateUserSchedule error:', err.message);
+          reject(err);
+        } else {
+          console.log(`📝 Database: Updated schedule for user ${telegramUserId}`);
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // Pause (optionally until a date), stop or block a user; reason is 'paused', 'stopped' or 'blocked'
+  async deactivateUser(telegramUserId, reason, pausedUntil = null) {
+    return new Promise((resolve, reject) => {
+      // A timed pause keeps the user active; delivery resumes once paused_until passes
+      const query = `
+        UPDATE users
+        SET is_active = ?, paused_until = ?, inactive_reason = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE telegram_user_id = ?
+      `;
+      const isActive = pausedUntil ? 1 : 0;
+      this.db.run(query, [isActive, pausedUntil, reason, telegramUserId], function(err) {
+        if (err) {
+          console.error('❌ Database deactivateUser error:', err.message);
+          reject(err);
+        } else {
+          console.log(`⏸️ User ${telegramUserId} deactivated (${reason})`);
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  async reactivateUser(telegramUserId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE users
+        SET is_active = 1, paused_until = NULL, inactive_reason = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE telegram_user_id = ?
+      `;
+      this.db.run(query, [telegramUserId], function(err) {
+        if (err) {
+          console.error('❌ Database reactivateUser error:', err.message);
+          reject(err);
+        } else {
+          console.log(`▶️ User ${telegramUserId} reactivated`);
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  async updateUserFrequency(telegramUserId, { lessonsPerDay, weekdaysOnly }) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE users
+        SET lessons_per_day = COALESCE(?, lessons_per_day),
+        weekdays_only = COALESCE(?, weekdays_only),
+        updated_at = CURRENT_TIMESTAMP
+        WHERE telegram_user_id = ?
+      `;
+      const weekdays = weekdaysOnly === undefined ? null : (weekdaysOnly ? 1 : 0);
+      this.db.run(query, [lessonsPerDay || null, weekdays, telegramUserId], function(err) {
+        if (err) {
+          console.error('❌ Database updateUserFrequency error:', err.message);
+          reject(err);
+        } else {
+          console.log(`📝 Database: Updated lesson frequency for user ${telegramUserId}`);
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  async updateUserAudio(telegramUserId, enabled) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE users
+        SET audio_enabled = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE telegram_user_id = ?
+      `;
+      this.db.run(query, [enabled ? 1 : 0, telegramUserId], function(err) {
+        if (err) {
+          console.error('❌ Database updateUserAudio error:', err.message);
+          reject(err);
+        } else {
+          console.log(`📝 Database: Audio ${enabled ? 'enabled' : 'disabled'} for user ${telegramUserId}`);
+          resolve(this.changes);
+        }
+      });
+    });
   }
 
   async getActiveSubscription(telegramUserId) {
@@ -178,15 +479,79 @@ class Database {
     });
   }
 
-  async getRandomSentence(difficultyLevel) {
+  async getSentence(sentenceId) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM sentences WHERE id = ?', [sentenceId], (err, row) => {
+        if (err) {
+          console.error('❌ Database getSentence error:', err.message);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  // Telegram file_id of the sentence's lesson audio, once it has been uploaded
+  async getVoiceFileId(sentenceId) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT voice_file_id FROM sentences WHERE id = ?', [sentenceId], (err, row) => {
+        if (err) {
+          console.error('❌ Database getVoiceFileId error:', err.message);
+          reject(err);
+        } else {
+          resolve(row ? row.voice_file_id : null);
+        }
+      });
+    });
+  }
+
+  async setVoiceFileId(sentenceId, fileId) {
+    return new Promise((resolve, reject) => {
+      this.db.run('UPDATE sentences SET voice_file_id = ? WHERE id = ?', [fileId, sentenceId], function(err) {
+        if (err) {
+          console.error('❌ Database setVoiceFileId error:', err.message);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // Random sentences, closest difficulty first (for quiz questions and their wrong answers)
+  async getRandomSentencesNear(difficultyLevel, limit, excludeIds = []) {
+    return new Promise((resolve, reject) => {
+      const exclude = excludeIds.length > 0 ? `AND id NOT IN (${excludeIds.map(() => '?').join(', ')})` : '';
+      const query = `
+        SELECT * FROM sentences
+        WHERE english_translation IS NOT NULL ${exclude}
+        ORDER BY ABS(difficulty_level - ?) ASC, RANDOM()
+        LIMIT ?
+      `;
+      this.db.all(query, [...excludeIds, difficultyLevel, limit], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getRandomSentencesNear error:', err.message);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  // source limits the pick to e.g. 'bank' entries; unusedOnly skips sentences already delivered to anyone
+  async getRandomSentence(difficultyLevel, { source = null, unusedOnly = false } = {}) {
     return new Promise((resolve, reject) => {
       const query = `
         SELECT * FROM sentences 
         WHERE difficulty_level = ? 
+        AND (? IS NULL OR source = ?)
+        AND (? = 0 OR NOT EXISTS (SELECT 1 FROM deliveries d WHERE d.sentence_id = sentences.id))
         ORDER BY RANDOM() 
         LIMIT 1
       `;
-      this.db.get(query, [difficultyLevel], (err, row) => {
+      this.db.get(query, [difficultyLevel, source, source, unusedOnly ? 1 : 0], (err, row) => {
         if (err) {
           console.error('❌ Database getRandomSentence error:', err.message);
           reject(err);
@@ -197,80 +562,1047 @@ class Database {
     });
   }
 
-  // Get recent sentences for a difficulty level to avoid duplicates
-  async getRecentSentences(difficultyLevel, days = 30) {
+  // Save a lesson once and reuse the row when the same sentence is sent again.
+  // meta tags bank entries: { source: 'bank', topic, grammarPoint }
+  async saveSentence(sentenceData, difficultyLevel, meta = {}) {
+    const existing = await new Promise((resolve, reject) => {
+      const query = `
+        SELECT id FROM sentences
+        WHERE difficulty_level = ? AND russian_text = ?
+        ORDER BY id DESC LIMIT 1
+      `;
+      this.db.get(query, [difficultyLevel, sentenceData.russian_text], (err, row) => {
+        if (err) {
+          console.error('❌ Database saveSentence lookup error:', err.message);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+
+    if (existing) {
+      return existing.id;
+    }
+
     return new Promise((resolve, reject) => {
-      // Calculate the date in JavaScript for SQLite compatibility
-      const dateLimit = new Date();
-      dateLimit.setDate(dateLimit.getDate() - days);
-      const dateLimitStr = dateLimit.toISOString();
-      
       const query = `
-        SELECT russian_text, english_translation 
-        FROM sentences 
-        WHERE difficulty_level = ? 
-        AND created_at >= ?
-        ORDER BY created_at DESC
+        INSERT INTO sentences (russian_text, english_translation, difficulty_level, word_breakdown, source, topic, grammar_point)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
       `;
-      this.db.all(query, [difficultyLevel, dateLimitStr], (err, rows) => {
+      const wordBreakdown = typeof sentenceData.word_breakdown === 'string'
+        ? sentenceData.word_breakdown
+        : JSON.stringify(sentenceData.word_breakdown || []);
+
+      this.db.run(query, [
+        sentenceData.russian_text,
+        sentenceData.english_translation,
+        difficultyLevel,
+        wordBreakdown,
+        meta.source || 'generated',
+        meta.topic || null,
+        meta.grammarPoint || null
+      ], function(err) {
         if (err) {
-          console.error('❌ Database getRecentSentences error:', err.message);
+          console.error('❌ Database saveSentence error:', err.message);
           reject(err);
         } else {
-          resolve(rows || []);
+          resolve(this.lastID);
         }
       });
     });
   }
 
-  async saveUserProgress(telegramUserId, sentenceId, userResponse, grade, isCorrect) {
+  // Record that a lesson was handed to a user (status is updated once Telegram answers)
+  async createDelivery(telegramUserId, sentenceId, kind = 'daily', status = 'queued') {
     return new Promise((resolve, reject) => {
       const query = `
-        INSERT INTO user_progress (telegram_user_id, sentence_id, user_response, grade, is_correct)
-        VALUES (?, ?, ?, ?, ?)
+        INSERT INTO deliveries (telegram_user_id, sentence_id, kind, status, sent_at)
+        VALUES (?, ?, ?, ?, CASE WHEN ? = 'sent' THEN CURRENT_TIMESTAMP END)
       `;
-      this.db.run(query, [telegramUserId, sentenceId, userResponse, grade, isCorrect], function(err) {
+      this.db.run(query, [telegramUserId, sentenceId, kind, status, status], function(err) {
         if (err) {
-          console.error('❌ Database saveUserProgress error:', err.message);
+          console.error('❌ Database createDelivery error:', err.message);
           reject(err);
         } else {
-          console.log('✅ Progress saved:', telegramUserId);
           resolve(this.lastID);
         }
       });
     });
   }
 
-  // Cancel user subscription
-  cancelSubscription(telegramUserId) {
+  // Records a scheduled lesson for one slot of the user's local day; resolves null if that
+  // slot already has a delivery (a repeated cron fire, a restart mid-hour, a DST repeated hour)
+  async createScheduledDelivery(telegramUserId, sentenceId, slot, localDate) {
     return new Promise((resolve, reject) => {
       const query = `
-        UPDATE subscriptions 
-        SET status = 'cancelled'
-        WHERE telegram_user_id = ? AND status = 'active'
+        INSERT INTO deliveries (telegram_user_id, sentence_id, kind, status, slot, local_date)
+        SELECT ?, ?, 'daily', 'queued', ?, ?
+        WHERE NOT EXISTS (
+          SELECT 1 FROM deliveries
+          WHERE telegram_user_id = ? AND kind = 'daily' AND slot = ? AND local_date = ?
+        )
       `;
-      this.db.run(query, [telegramUserId], function(err) {
+      const params = [telegramUserId, sentenceId, slot, localDate, telegramUserId, slot, localDate];
+      this.db.run(query, params, function(err) {
         if (err) {
-          console.error('❌ Database cancelSubscription error:', err.message);
+          console.error('❌ Database createScheduledDelivery error:', err.message);
           reject(err);
         } else {
-          console.log('✅ Subscription cancelled:', telegramUserId);
-          resolve(this.changes);
+          resolve(this.changes > 0 ? this.lastID : null);
         }
       });
     });
   }
 
-  close() {
-    if (this.db) {
-      this.db.close((err) => {
+  async updateDeliveryStatus(deliveryId, status, error = null) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE deliveries
+        SET status = ?, error = ?,
+        sent_at = CASE WHEN ? = 'sent' THEN CURRENT_TIMESTAMP ELSE sent_at END
+        WHERE id = ?
+      `;
+      this.db.run(query, [status, error, status, deliveryId], function(err) {
         if (err) {
-          console.error('❌ Database close error:', err.message);
+          console.error('❌ Database updateDeliveryStatus error:', err.message);
+          reject(err);
         } else {
-          console.log('✅ Database connection closed');
+          resolve(this.changes);
         }
       });
-    }
+    });
+  }
+
+  // Most recent lesson a user actually received, joined with the sentence itself
+  // (lessons still waiting in the queue don't count until they are sent)
+  async getLastDelivery(telegramUserId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT d.id AS delivery_id, d.kind, d.status, d.sent_at, s.*
+        FROM deliveries d
+        JOIN sentences s ON s.id = d.sentence_id
+        WHERE d.telegram_user_id = ? AND d.status = 'sent'
+        ORDER BY d.sent_at DESC, d.id DESC
+        LIMIT 1
+      `;
+      this.db.get(query, [telegramUserId], (err, row) => {
+        if (err) {
+          console.error('❌ Database getLastDelivery error:', err.message);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  // Get recent sentences for a difficulty level to avoid duplicates
+  async getRecentSentences(difficultyLevel, days = 30) {
+    return new Promise((resolve, reject) => {
+      // Calculate the date in JavaScript for SQLite compatibility
+      const dateLimit = new Date();
+      dateLimit.setDate(dateLimit.getDate() - days);
+      const dateLimitStr = dateLimit.toISOString();
+      
+      const query = `
+        SELECT russian_text, english_translation 
+        FROM sentences 
+        WHERE difficulty_level = ? 
+        AND created_at >= ?
+        ORDER BY created_at DESC
+      `;
+      this.db.all(query, [difficultyLevel, dateLimitStr], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getRecentSentences error:', err.message);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  async getSentences({ difficultyLevel = null, source = null } = {}) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM sentences
+        WHERE (? IS NULL OR difficulty_level = ?)
+        AND (? IS NULL OR source = ?)
+        ORDER BY difficulty_level ASC, id ASC
+      `;
+      this.db.all(query, [difficultyLevel, difficultyLevel, source, source], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getSentences error:', err.message);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  // attemptType: 'text' for typed answers, 'voice' for transcribed voice notes
+  async saveUserProgress(telegramUserId, sentenceId, userResponse, grade, isCorrect, attemptType = 'text') {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO user_progress (telegram_user_id, sentence_id, user_response, grade, is_correct, attempt_type)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+      this.db.run(query, [telegramUserId, sentenceId, userResponse, grade, isCorrect, attemptType], function(err) {
+        if (err) {
+          console.error('❌ Database saveUserProgress error:', err.message);
+          reject(err);
+        } else {
+          console.log('✅ Progress saved:', telegramUserId);
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
+  // Turn delivered lessons into review cards; pass null to seed every user
+  async seedReviewItems(telegramUserId = null, firstReviewDays = 1) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT OR IGNORE INTO review_items (telegram_user_id, sentence_id, due_at)
+        SELECT telegram_user_id, sentence_id, datetime(MIN(sent_at), ?)
+        FROM deliveries
+        WHERE status = 'sent' AND (? IS NULL OR telegram_user_id = ?)
+        GROUP BY telegram_user_id, sentence_id
+      `;
+      const offset = `+${firstReviewDays} days`;
+      this.db.run(query, [offset, telegramUserId, telegramUserId], function(err) {
+        if (err) {
+          console.error('❌ Database seedReviewItems error:', err.message);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  async getNextDueReview(telegramUserId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT r.*, s.russian_text, s.english_translation, s.word_breakdown, s.difficulty_level
+        FROM review_items r
+        JOIN sentences s ON s.id = r.sentence_id
+        WHERE r.telegram_user_id = ? AND r.due_at <= datetime('now')
+        ORDER BY r.due_at ASC
+        LIMIT 1
+      `;
+      this.db.get(query, [telegramUserId], (err, row) => {
+        if (err) {
+          console.error('❌ Database getNextDueReview error:', err.message);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  async getReviewItem(reviewId, telegramUserId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT r.*, s.russian_text, s.english_translation, s.word_breakdown, s.difficulty_level
+        FROM review_items r
+        JOIN sentences s ON s.id = r.sentence_id
+        WHERE r.id = ? AND r.telegram_user_id = ?
+      `;
+      this.db.get(query, [reviewId, telegramUserId], (err, row) => {
+        if (err) {
+          console.error('❌ Database getReviewItem error:', err.message);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  async updateReviewItem(reviewId, { easeFactor, intervalDays, repetitions, dueAt, rating }) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE review_items
+        SET ease_factor = ?, interval_days = ?, repetitions = ?, due_at = ?,
+        last_rating = ?, last_reviewed_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `;
+      this.db.run(query, [easeFactor, intervalDays, repetitions, dueAt, rating, reviewId], function(err) {
+        if (err) {
+          console.error('❌ Database updateReviewItem error:', err.message);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // Due review counts keyed by user, for the reminder and the review header
+  async getDueReviewCounts(telegramUserId = null) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT telegram_user_id, COUNT(*) AS due_count
+        FROM review_items
+        WHERE due_at <= datetime('now') AND (? IS NULL OR telegram_user_id = ?)
+        GROUP BY telegram_user_id
+      `;
+      this.db.all(query, [telegramUserId, telegramUserId], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getDueReviewCounts error:', err.message);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  // Per-level user counts split by delivery state, for the admin /stats command
+  async getUserStats() {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT difficulty_level,
+        COUNT(*) AS total,
+        SUM(CASE WHEN COALESCE(is_active, 1) = 1
+          AND (paused_until IS NULL OR paused_until <= datetime('now')) THEN 1 ELSE 0 END) AS active,
+        SUM(CASE WHEN inactive_reason = 'paused'
+          AND (is_active = 0 OR paused_until > datetime('now')) THEN 1 ELSE 0 END) AS paused,
+        SUM(CASE WHEN is_active = 0 AND inactive_reason = 'stopped' THEN 1 ELSE 0 END) AS stopped,
+        SUM(CASE WHEN is_active = 0 AND inactive_reason = 'blocked' THEN 1 ELSE 0 END) AS blocked
+        FROM users
+        GROUP BY difficulty_level
+        ORDER BY difficulty_level ASC
+      `;
+      this.db.all(query, [], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getUserStats error:', err.message);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  // How many lessons of one kind actually reached a user since a SQL UTC timestamp
+  // (failed sends don't count, so they don't use up the /next allowance)
+  async countSentDeliveries(telegramUserId, kind, since) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT COUNT(*) AS count
+        FROM deliveries
+        WHERE telegram_user_id = ? AND kind = ? AND status = 'sent' AND sent_at >= ?
+      `;
+      this.db.get(query, [telegramUserId, kind, since], (err, row) => {
+        if (err) {
+          console.error('❌ Database countSentDeliveries error:', err.message);
+          reject(err);
+        } else {
+          resolve(row ? row.count : 0);
+        }
+      });
+    });
+  }
+
+  // Delivery counts by kind and status since a SQL UTC timestamp
+  async getDeliveryStats(since) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT kind, status, COUNT(*) AS count
+        FROM deliveries
+        WHERE created_at >= ?
+        GROUP BY kind, status
+      `;
+      this.db.all(query, [since], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getDeliveryStats error:', err.message);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  async getUserActivity(telegramUserId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT
+        (SELECT COUNT(*) FROM deliveries WHERE telegram_user_id = ? AND status = 'sent') AS lessons_sent,
+        (SELECT MAX(sent_at) FROM deliveries WHERE telegram_user_id = ? AND status = 'sent') AS last_lesson_at,
+        (SELECT COUNT(*) FROM user_progress WHERE telegram_user_id = ?) AS attempts,
+        (SELECT ROUND(AVG(grade)) FROM user_progress WHERE telegram_user_id = ?) AS average_grade
+      `;
+      const params = [telegramUserId, telegramUserId, telegramUserId, telegramUserId];
+      this.db.get(query, params, (err, row) => {
+        if (err) {
+          console.error('❌ Database getUserActivity error:', err.message);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  // Latest grades on sentences of one level since the user's last level change.
+  // Multiple-choice quiz answers are left out: they say little about the level.
+  async getRecentGrades(telegramUserId, difficultyLevel, limit) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT p.grade
+        FROM user_progress p
+        JOIN sentences s ON s.id = p.sentence_id
+        WHERE p.telegram_user_id = ? AND s.difficulty_level = ? AND p.grade IS NOT NULL
+        AND COALESCE(p.attempt_type, 'text') IN ('text', 'voice', 'quiz_translate')
+        AND p.created_at >= COALESCE(
+          (SELECT MAX(created_at) FROM level_history WHERE telegram_user_id = ?),
+          '1970-01-01 00:00:00'
+        )
+        ORDER BY p.created_at DESC, p.id DESC
+        LIMIT ?
+      `;
+      this.db.all(query, [telegramUserId, difficultyLevel, telegramUserId, limit], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getRecentGrades error:', err.message);
+          reject(err);
+        } else {
+          resolve((rows || []).map(row => row.grade));
+        }
+      });
+    });
+  }
+
+  // Timestamps of every practice attempt, oldest first (for streaks)
+  async getPracticeTimes(telegramUserId) {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT created_at FROM user_progress WHERE telegram_user_id = ? ORDER BY created_at ASC';
+      this.db.all(query, [telegramUserId], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getPracticeTimes error:', err.message);
+          reject(err);
+        } else {
+          resolve((rows || []).map(row => row.created_at));
+        }
+      });
+    });
+  }
+
+  // Sentences successfully delivered to a user since a SQL UTC timestamp
+  async getDeliveredSentences(telegramUserId, since) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT s.*, d.sent_at
+        FROM deliveries d
+        JOIN sentences s ON s.id = d.sentence_id
+        WHERE d.telegram_user_id = ? AND d.status = 'sent' AND d.sent_at >= ?
+        ORDER BY d.sent_at ASC
+      `;
+      this.db.all(query, [telegramUserId, since], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getDeliveredSentences error:', err.message);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  // Every sentence a user has received, newest first; resent lessons appear once
+  async getLessonHistory(telegramUserId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT s.*, MAX(d.sent_at) AS sent_at
+        FROM deliveries d
+        JOIN sentences s ON s.id = d.sentence_id
+        WHERE d.telegram_user_id = ? AND d.status = 'sent'
+        GROUP BY s.id
+        ORDER BY sent_at DESC, s.id DESC
+      `;
+      this.db.all(query, [telegramUserId], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getLessonHistory error:', err.message);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  // Admin user search: matches id or display name, newest first
+  async searchUsers({ query = null, difficultyLevel = null, limit = 50, offset = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      const conditions = [];
+      const params = [];
+      if (query) {
+        conditions.push('(telegram_user_id LIKE ? OR display_name LIKE ?)');
+        params.push(`%${query}%`, `%${query}%`);
+      }
+      if (difficultyLevel) {
+        conditions.push('difficulty_level = ?');
+        params.push(difficultyLevel);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const sql = `
+        SELECT * FROM users
+        ${where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ? OFFSET ?
+      `;
+      this.db.all(sql, [...params, limit, offset], (err, rows) => {
+        if (err) {
+          console.error('❌ Database searchUsers error:', err.message);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  // Practice attempts, newest first, with the sentence they were made against
+  async getProgress({ telegramUserId = null, limit = 50, offset = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      const where = telegramUserId ? 'WHERE p.telegram_user_id = ?' : '';
+      const params = telegramUserId ? [telegramUserId] : [];
+      const query = `
+        SELECT p.*, s.russian_text, s.english_translation, s.difficulty_level
+        FROM user_progress p
+        LEFT JOIN sentences s ON s.id = p.sentence_id
+        ${where}
+        ORDER BY p.created_at DESC, p.id DESC
+        LIMIT ? OFFSET ?
+      `;
+      this.db.all(query, [...params, limit, offset], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getProgress error:', err.message);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  // How many lesson slots each level needs: the highest lessons_per_day among its active users
+  async getLessonPlan() {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT difficulty_level, MAX(COALESCE(lessons_per_day, 1)) AS slots
+        FROM users
+        WHERE COALESCE(is_active, 1) = 1
+        GROUP BY difficulty_level
+        ORDER BY difficulty_level ASC
+      `;
+      this.db.all(query, [], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getLessonPlan error:', err.message);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  // Lesson drafts are generated ahead of the day they are sent (lesson_date, in the bot
+  // timezone) and move from pending to approved/auto_approved, then released once sent
+  async createLessonDraft({ lessonDate, difficultyLevel, slot, lesson, status = 'pending' }) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO lesson_drafts (lesson_date, difficulty_level, slot, russian_text, english_translation, word_breakdown, status, reviewed_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, CASE WHEN ? = 'pending' THEN NULL ELSE CURRENT_TIMESTAMP END)
+      `;
+      this.db.run(query, [
+        lessonDate,
+        difficultyLevel,
+        slot,
+        lesson.russian_text,
+        lesson.english_translation,
+        JSON.stringify(lesson.word_breakdown || []),
+        status,
+        status
+      ], function(err) {
+        if (err) {
+          console.error('❌ Database createLessonDraft error:', err.message);
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
+  async getLessonDraft(draftId) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM lesson_drafts WHERE id = ?', [draftId], (err, row) => {
+        if (err) {
+          console.error('❌ Database getLessonDraft error:', err.message);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  async getLessonDraftFor(lessonDate, difficultyLevel, slot) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM lesson_drafts
+        WHERE lesson_date = ? AND difficulty_level = ? AND slot = ?
+      `;
+      this.db.get(query, [lessonDate, difficultyLevel, slot], (err, row) => {
+        if (err) {
+          console.error('❌ Database getLessonDraftFor error:', err.message);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  async getLessonDrafts(lessonDate) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM lesson_drafts
+        WHERE lesson_date = ?
+        ORDER BY difficulty_level ASC, slot ASC
+      `;
+      this.db.all(query, [lessonDate], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getLessonDrafts error:', err.message);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  // Any field left undefined keeps its current value
+  async updateLessonDraft(draftId, { lesson, status, adminMessageId, sentenceId }) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE lesson_drafts
+        SET russian_text = COALESCE(?, russian_text),
+        english_translation = COALESCE(?, english_translation),
+        word_breakdown = COALESCE(?, word_breakdown),
+        status = COALESCE(?, status),
+        reviewed_at = CASE WHEN ? IN ('approved', 'auto_approved') THEN CURRENT_TIMESTAMP ELSE reviewed_at END,
+        admin_message_id = COALESCE(?, admin_message_id),
+        sentence_id = COALESCE(?, sentence_id),
+        updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `;
+      this.db.run(query, [
+        lesson ? lesson.russian_text : null,
+        lesson ? lesson.english_translation : null,
+        lesson ? JSON.stringify(lesson.word_breakdown || []) : null,
+        status || null,
+        status || null,
+        adminMessageId || null,
+        sentenceId || null,
+        draftId
+      ], function(err) {
+        if (err) {
+          console.error('❌ Database updateLessonDraft error:', err.message);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  async autoApproveLessonDrafts(lessonDate) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE lesson_drafts
+        SET status = 'auto_approved', reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE lesson_date = ? AND status = 'pending'
+      `;
+      this.db.run(query, [lessonDate], function(err) {
+        if (err) {
+          console.error('❌ Database autoApproveLessonDrafts error:', err.message);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // Words keep the meaning and sentence they were first seen with
+  async addVocabularyWord({ telegramUserId, word, displayWord, meaning, sentenceId }) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT OR IGNORE INTO vocabulary (telegram_user_id, word, display_word, meaning, sentence_id)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+      this.db.run(query, [telegramUserId, word, displayWord, meaning, sentenceId], function(err) {
+        if (err) {
+          console.error('❌ Database addVocabularyWord error:', err.message);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // Search matches the normalized word or the English meaning; known words sort last
+  vocabularyFilter(telegramUserId, { word = null, meaning = null } = {}) {
+    const params = [telegramUserId];
+    let where = 'WHERE v.telegram_user_id = ?';
+    if (word || meaning) {
+      where += ' AND (v.word LIKE ? OR v.meaning LIKE ?)';
+      params.push(`%${word || meaning}%`, `%${meaning || word}%`);
+    }
+    return { where, params };
+  }
+
+  async getVocabulary(telegramUserId, { word = null, meaning = null, limit = 8, offset = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      const { where, params } = this.vocabularyFilter(telegramUserId, { word, meaning });
+      const query = `
+        SELECT v.* FROM vocabulary v
+        ${where}
+        ORDER BY v.known ASC, v.starred DESC, v.created_at DESC, v.id DESC
+        LIMIT ? OFFSET ?
+      `;
+      this.db.all(query, [...params, limit, offset], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getVocabulary error:', err.message);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  async countVocabulary(telegramUserId, { word = null, meaning = null } = {}) {
+    return new Promise((resolve, reject) => {
+      const { where, params } = this.vocabularyFilter(telegramUserId, { word, meaning });
+      this.db.get(`SELECT COUNT(*) AS count FROM vocabulary v ${where}`, params, (err, row) => {
+        if (err) {
+          console.error('❌ Database countVocabulary error:', err.message);
+          reject(err);
+        } else {
+          resolve(row ? row.count : 0);
+        }
+      });
+    });
+  }
+
+  async getVocabularyWord(wordId, telegramUserId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT v.*, s.russian_text, s.english_translation
+        FROM vocabulary v
+        LEFT JOIN sentences s ON s.id = v.sentence_id
+        WHERE v.id = ? AND v.telegram_user_id = ?
+      `;
+      this.db.get(query, [wordId, telegramUserId], (err, row) => {
+        if (err) {
+          console.error('❌ Database getVocabularyWord error:', err.message);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  async updateVocabularyWord(wordId, telegramUserId, { starred, known }) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE vocabulary
+        SET starred = COALESCE(?, starred),
+        known = COALESCE(?, known),
+        updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND telegram_user_id = ?
+      `;
+      const flag = value => (value === undefined ? null : (value ? 1 : 0));
+      this.db.run(query, [flag(starred), flag(known), wordId, telegramUserId], function(err) {
+        if (err) {
+          console.error('❌ Database updateVocabularyWord error:', err.message);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // Words most users at a level have marked as known, for steering generation elsewhere
+  async getCommonKnownWords(difficultyLevel, limit = 30) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT v.word, COUNT(*) AS learners
+        FROM vocabulary v
+        JOIN users u ON u.telegram_user_id = v.telegram_user_id
+        WHERE v.known = 1 AND u.difficulty_level = ? AND COALESCE(u.is_active, 1) = 1
+        GROUP BY v.word
+        ORDER BY learners DESC, v.word ASC
+        LIMIT ?
+      `;
+      this.db.all(query, [difficultyLevel, limit], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getCommonKnownWords error:', err.message);
+          reject(err);
+        } else {
+          resolve((rows || []).map(row => row.word));
+        }
+      });
+    });
+  }
+
+  // The user and sentence behind a delivery, once it has gone out
+  async getDeliverySentence(deliveryId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT d.telegram_user_id, s.*
+        FROM deliveries d
+        JOIN sentences s ON s.id = d.sentence_id
+        WHERE d.id = ?
+      `;
+      this.db.get(query, [deliveryId], (err, row) => {
+        if (err) {
+          console.error('❌ Database getDeliverySentence error:', err.message);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  async saveContactMessage({ message, replyTo = null, ip = null }) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO contact_messages (message, reply_to, ip)
+        VALUES (?, ?, ?)
+      `;
+      this.db.run(query, [message, replyTo, ip], function(err) {
+        if (err) {
+          console.error('❌ Database saveContactMessage error:', err.message);
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
+  async getContactMessage(contactId) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM contact_messages WHERE id = ?', [contactId], (err, row) => {
+        if (err) {
+          console.error('❌ Database getContactMessage error:', err.message);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  // Newest first, optionally only one status (new/read/replied)
+  async getContactMessages({ status = null, limit = 50, offset = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      const where = status ? 'WHERE status = ?' : '';
+      const params = status ? [status] : [];
+      const query = `
+        SELECT * FROM contact_messages
+        ${where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ? OFFSET ?
+      `;
+      this.db.all(query, [...params, limit, offset], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getContactMessages error:', err.message);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  async updateContactMessage(contactId, { status, adminMessageId }) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE contact_messages
+        SET status = COALESCE(?, status),
+        admin_message_id = COALESCE(?, admin_message_id),
+        updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `;
+      this.db.run(query, [status || null, adminMessageId || null, contactId], function(err) {
+        if (err) {
+          console.error('❌ Database updateContactMessage error:', err.message);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // Submissions from one IP since a SQL UTC timestamp, for rate limiting
+  async countContactMessagesSince(ip, since) {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT COUNT(*) AS count FROM contact_messages WHERE ip = ? AND created_at >= ?';
+      this.db.get(query, [ip, since], (err, row) => {
+        if (err) {
+          console.error('❌ Database countContactMessagesSince error:', err.message);
+          reject(err);
+        } else {
+          resolve(row ? row.count : 0);
+        }
+      });
+    });
+  }
+
+  // Persisted message queue: states are pending, failed (awaiting retry), sent and dead
+  // type 'voice' items hold a path to an audio file in `message`
+  async enqueueMessage({ chatId, type = 'text', message, options, deliveryId, maxRetries }) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO message_queue (chat_id, type, message, options, delivery_id, max_retries)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+      this.db.run(query, [String(chatId), type, message, JSON.stringify(options || {}), deliveryId, maxRetries], function(err) {
+        if (err) {
+          console.error('❌ Database enqueueMessage error:', err.message);
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
+  async updateQueueItem(queueId, { state, retries, lastError = null, nextAttemptAt = null }) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE message_queue
+        SET state = ?, retries = COALESCE(?, retries), last_error = ?, next_attempt_at = ?,
+        updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `;
+      this.db.run(query, [state, retries ?? null, lastError, nextAttemptAt, queueId], function(err) {
+        if (err) {
+          console.error('❌ Database updateQueueItem error:', err.message);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // Items a previous process never finished sending
+  async getUnsentQueueItems() {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM message_queue
+        WHERE state IN ('pending', 'failed')
+        ORDER BY id ASC
+      `;
+      this.db.all(query, [], (err, rows) => {
+        if (err) {
+          console.error('❌ Database getUnsentQueueItems error:', err.message);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  async clearUnsentQueueItems(reason = 'cleared') {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE message_queue
+        SET state = 'dead', last_error = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE state IN ('pending', 'failed')
+      `;
+      this.db.run(query, [reason], function(err) {
+        if (err) {
+          console.error('❌ Database clearUnsentQueueItems error:', err.message);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // Sent/dead rows are only kept for a while for debugging
+  async pruneQueue(days = 7) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        DELETE FROM message_queue
+        WHERE state IN ('sent', 'dead') AND updated_at < datetime('now', ?)
+      `;
+      this.db.run(query, [`-${days} days`], function(err) {
+        if (err) {
+          console.error('❌ Database pruneQueue error:', err.message);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // Cancel user subscription
+  cancelSubscription(telegramUserId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE subscriptions 
+        SET status = 'cancelled'
+        WHERE telegram_user_id = ? AND status = 'active'
+      `;
+      this.db.run(query, [telegramUserId], function(err) {
+        if (err) {
+          console.error('❌ Database cancelSubscription error:', err.message);
+          reject(err);
+        } else {
+          console.log('✅ Subscription cancelled:', telegramUserId);
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  close() {
+    return new Promise((resolve) => {
+      if (!this.db) {
+        resolve();
+        return;
+      }
+      this.db.close((err) => {
+        if (err) {
+          console.error('❌ Database close error:', err.message);
+        } else {
+          console.log('✅ Database connection closed');
+        }
+        resolve();
+      });
+    });
   }
 }
 
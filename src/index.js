@@ -1,10 +1,17 @@
 const express = require('express');
 const path = require('path');
-const fs = require('fs');
 const TelegramBotHandler = require('./telegramBot');
 const Scheduler = require('./scheduler');
 const messageQueue = require('./messageQueue');
+const database = require('./database');
 const config = require('./config');
+const { createAdminRouter } = require('./adminApi');
+const { toSqlDate } = require('./services/localTime');
+
+// Telegram @username (5–32 chars) or a plausible email address
+function isValidReplyTo(value) {
+  return /^@[A-Za-z0-9_]{5,32}$/.test(value) || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+}
 
 class RussianLearningBot {
   constructor() {
@@ -14,13 +21,17 @@ class RussianLearningBot {
     messageQueue.setBot(this.telegramBot.bot);
 
     this.scheduler = new Scheduler(this.telegramBot);
+    this.telegramBot.setScheduler(this.scheduler);
     this.setupExpress();
+    this.startServices();
   }
 
   setupExpress() {
     this.app.use(express.json());
     this.app.use(express.urlencoded({ extended: true }));
-    this.app.set('trust proxy', true);
+    // Only the local nginx hop is trusted, so req.ip (used by the contact rate limit)
+    // can't be picked by the client through X-Forwarded-For
+    this.app.set('trust proxy', 'loopback');
     this.app.use(express.static(path.join(__dirname, '..', 'public')));
 
     this.app.get('/health', (req, res) => {
@@ -42,37 +53,76 @@ class RussianLearningBot {
       this.handleContactForm(req, res);
     });
 
-    this.app.listen(config.PORT, () => {
+    this.app.use('/api/admin', createAdminRouter({ scheduler: this.scheduler }));
+
+    this.app.get('/admin', (req, res) => {
+      res.sendFile(path.join(__dirname, '..', 'public', 'admin.html'));
+    });
+
+    this.server = this.app.listen(config.PORT, () => {
       console.log(`🚀 Server running on port ${config.PORT}`);
       console.log(`🌍 Timezone: ${config.TIMEZONE}`);
-      console.log(`📅 Messages scheduled daily at 11:00 Tokyo (free for all users)`);
+      console.log(`📅 Messages scheduled hourly per user timezone (free for all users)`);
     });
   }
 
-  startServices() {
+  async startServices() {
+    await database.ready;
+    await messageQueue.resume();
     console.log('🚀 Background services started');
   }
 
+  // Stop taking updates, let the queue drain (or checkpoint it) and close the database
+  async shutdown() {
+    try {
+      await this.telegramBot.bot.stopPolling();
+    } catch (error) {
+      console.error('❌ Error stopping polling:', error.message);
+    }
+
+    await messageQueue.shutdown(config.SHUTDOWN_TIMEOUT_MS);
+
+    if (this.server) {
+      await new Promise(resolve => this.server.close(() => resolve()));
+    }
+    await database.close();
+  }
+
+  // Stores the submission and forwards it to the admin. Bots that fill the hidden
+  // `website` field get a normal success response but nothing is saved.
   async handleContactForm(req, res) {
     try {
-      const { message } = req.body;
+      const { message, reply_to: replyTo, website } = req.body;
+      const ip = req.ip || req.connection.remoteAddress || 'unknown';
+
+      if (website) {
+        console.warn(`🍯 Contact form honeypot triggered from ${ip}`);
+        return res.json({ status: 'success', message: 'Message sent successfully' });
+      }
 
       if (!message || !message.trim()) {
         return res.status(400).json({ error: 'Message is required' });
       }
+      if (message.length > config.CONTACT.MAX_LENGTH) {
+        return res.status(400).json({ error: `Message is too long (max ${config.CONTACT.MAX_LENGTH} characters)` });
+      }
 
-      const logsDir = path.join(__dirname, '..', 'logs');
-      if (!fs.existsSync(logsDir)) {
-        fs.mkdirSync(logsDir, { recursive: true });
+      const contact = (replyTo || '').trim() || null;
+      if (contact && !isValidReplyTo(contact)) {
+        return res.status(400).json({ error: 'Reply-to must be a Telegram @username or an email address' });
       }
 
-      const logFile = path.join(logsDir, 'contact-form.log');
-      const timestamp = new Date().toISOString();
-      const ip = req.ip || req.connection.remoteAddress || 'unknown';
-      const logEntry = `\n=== Contact Form Submission ===\nTimestamp: ${timestamp}\nIP: ${ip}\nMessage:\n${message}\n${'='.repeat(50)}\n`;
+      const windowStart = new Date(Date.now() - config.CONTACT.RATE_WINDOW_MINUTES * 60 * 1000);
+      const recent = await database.countContactMessagesSince(ip, toSqlDate(windowStart));
+      if (recent >= config.CONTACT.RATE_LIMIT) {
+        console.warn(`⚠️ Contact form rate limit hit by ${ip}`);
+        return res.status(429).json({ error: 'Too many messages. Please try again later.' });
+      }
 
-      fs.appendFileSync(logFile, logEntry, 'utf8');
-      console.log('📝 Contact form message logged successfully');
+      const contactId = await database.saveContactMessage({ message: message.trim(), replyTo: contact, ip });
+      console.log(`📝 Contact form message ${contactId} saved`);
+
+      await this.telegramBot.forwardContactMessage(await database.getContactMessage(contactId));
 
       res.json({
         status: 'success',
@@ -87,12 +137,19 @@ class RussianLearningBot {
 
 const bot = new RussianLearningBot();
 
-process.on('SIGINT', () => {
+let shuttingDown = false;
+async function gracefulShutdown() {
+  if (shuttingDown) return;
+  shuttingDown = true;
   console.log('\n🛑 Shutting down Russian Learning Bot...');
-  process.exit(0);
-});
 
-process.on('SIGTERM', () => {
-  console.log('\n🛑 Shutting down Russian Learning Bot...');
+  try {
+    await bot.shutdown();
+  } catch (error) {
+    console.error('❌ Error during shutdown:', error);
+  }
   process.exit(0);
-});
+}
+
+process.on('SIGINT', gracefulShutdown);
+process.on('SIGTERM', gracefulShutdown);
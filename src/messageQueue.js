@@ -1,13 +1,41 @@
 const config = require('./config');
+const database = require('./database');
+const audioService = require('./services/audio');
+const vocabulary = require('./services/vocabulary');
+const exercises = require('./services/exercises');
+const { toSqlDate } = require('./services/localTime');
 
 class MessageQueue {
   constructor() {
+    const settings = config.MESSAGE_QUEUE;
     this.queue = [];
     this.isProcessing = false;
     this.processingInterval = null;
-    this.rateLimit = 25; // Messages per second (under Telegram's 30/sec limit)
-    this.batchSize = 25; // Process 25 messages at a time
-    this.delayBetweenBatches = 1000; // 1 second delay between batches
+    this.rateLimit = settings.GLOBAL_PER_SECOND; // Messages per second (under Telegram's 30/sec limit)
+    this.perChatInterval = settings.PER_CHAT_INTERVAL_MS; // Telegram allows ~1 message/sec per chat
+    this.tickInterval = settings.TICK_MS;
+    this.inFlight = 0; // Messages currently being sent
+    this.isShuttingDown = false;
+
+    // Token bucket for the global limit: refills continuously, small burst so any
+    // one-second window stays at or under rateLimit + burst
+    this.burst = settings.BURST;
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.lastSentToChat = new Map();
+    this.pausedUntil = 0; // Set from retry_after when Telegram answers 429
+    this.isPaused = false; // Held by an admin; queued items wait until resumed
+
+    this.stats = {
+      sent: 0,
+      dead: 0,
+      retried: 0,
+      rateLimited: 0,
+      blocked: 0,
+      permanentErrors: 0,
+      transientErrors: 0,
+      lastRetryAfter: null
+    };
   }
 
   // Store bot instance for sending messages
@@ -15,17 +43,34 @@ class MessageQueue {
     this.botInstance = botInstance;
   }
 
-  // Add message to queue
-  addMessage(chatId, message, options = {}) {
+  // Add message to queue (meta.deliveryId links the item to a row in deliveries;
+  // meta.type 'voice' sends `message` as a path to an OGG file).
+  // Items are written to SQLite first so a restart can pick up where we left off.
+  async addMessage(chatId, message, options = {}, meta = {}) {
     const queueItem = {
-      id: Date.now() + Math.random(), // Unique ID
       chatId,
+      type: meta.type || 'text',
       message,
       options,
+      deliveryId: meta.deliveryId || null,
       timestamp: new Date(),
       retries: 0,
-      maxRetries: 3
+      maxRetries: config.MESSAGE_QUEUE.MAX_RETRIES,
+      nextAttemptAt: null
     };
+
+    try {
+      queueItem.id = await database.enqueueMessage(queueItem);
+    } catch (error) {
+      // Still send it; it just won't survive a restart
+      console.error('❌ Failed to persist queue item:', error.message);
+      queueItem.id = null;
+    }
+
+    if (this.isShuttingDown) {
+      console.log(`💾 Shutting down — message ${queueItem.id} left pending for next start`);
+      return queueItem;
+    }
     
     this.queue.push(queueItem);
     console.log(`📝 Added message to queue. Queue size: ${this.queue.length}`);
@@ -34,6 +79,74 @@ class MessageQueue {
     if (!this.isProcessing) {
       this.startProcessing();
     }
+    return queueItem;
+  }
+
+  // Reload messages a previous process queued but never finished sending
+  async resume() {
+    try {
+      const rows = await database.getUnsentQueueItems();
+      for (const row of rows) {
+        this.queue.push({
+          id: row.id,
+          chatId: parseInt(row.chat_id, 10),
+          type: row.type || 'text',
+          message: row.message,
+          options: row.options ? JSON.parse(row.options) : {},
+          deliveryId: row.delivery_id,
+          timestamp: new Date(`${row.created_at}Z`),
+          retries: row.retries,
+          maxRetries: row.max_retries,
+          nextAttemptAt: row.next_attempt_at ? new Date(`${row.next_attempt_at}Z`).getTime() : null
+        });
+      }
+
+      console.log(`♻️ Resumed ${rows.length} unsent messages from the database`);
+      if (this.queue.length > 0 && !this.isProcessing) {
+        this.startProcessing();
+      }
+
+      await database.pruneQueue();
+    } catch (error) {
+      console.error('❌ Failed to resume message queue:', error);
+    }
+  }
+
+  // Stop taking new work, give in-flight and queued messages `timeoutMs` to go out,
+  // then leave whatever is left as pending in the database for the next start
+  async shutdown(timeoutMs = 10000) {
+    this.isShuttingDown = true;
+
+    const deadline = Date.now() + timeoutMs;
+    // Items waiting on a retry that falls after the deadline are not worth waiting for
+    const hasSendableWork = () =>
+      this.inFlight > 0 ||
+      (!this.isPaused && this.queue.some(item => !item.nextAttemptAt || item.nextAttemptAt < deadline));
+
+    while (hasSendableWork() && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+
+    this.stopProcessing();
+    const remaining = this.queue.length + this.inFlight;
+    this.queue = [];
+    console.log(remaining > 0
+      ? `💾 Queue checkpointed: ${remaining} messages left pending for next start`
+      : '✅ Queue drained before shutdown');
+  }
+
+  // Hold sending without dropping anything; items stay queued (and persisted) until unpause()
+  pause() {
+    this.isPaused = true;
+    console.log('⏸️ Message queue paused');
+  }
+
+  unpause() {
+    this.isPaused = false;
+    console.log('▶️ Message queue resumed');
+    if (this.queue.length > 0 && !this.isProcessing) {
+      this.startProcessing();
+    }
   }
 
   // Start processing the queue
@@ -44,8 +157,8 @@ class MessageQueue {
     console.log('🚀 Starting message queue processing');
     
     this.processingInterval = setInterval(() => {
-      this.processBatch();
-    }, this.delayBetweenBatches);
+      this.processQueue();
+    }, this.tickInterval);
   }
 
   // Stop processing the queue
@@ -58,20 +171,56 @@ class MessageQueue {
     console.log('⏹️ Stopped message queue processing');
   }
 
-  // Process a batch of messages
-  async processBatch() {
+  refillTokens(now) {
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.rateLimit);
+    this.lastRefill = now;
+  }
+
+  // Send every item that is due, has a free per-chat slot and a global token
+  processQueue() {
     if (this.queue.length === 0) {
-      console.log('✅ Queue empty, stopping processing');
-      this.stopProcessing();
+      if (this.inFlight === 0) {
+        console.log('✅ Queue empty, stopping processing');
+        this.stopProcessing();
+      }
       return;
     }
 
-    const batch = this.queue.splice(0, this.batchSize);
-    console.log(`📤 Processing batch of ${batch.length} messages`);
+    const now = Date.now();
+    this.refillTokens(now);
+    if (this.isPaused || now < this.pausedUntil) return;
+
+    const busyChats = new Set();
+    for (let i = 0; i < this.queue.length && this.tokens >= 1; i++) {
+      const item = this.queue[i];
+      if (item.nextAttemptAt && item.nextAttemptAt > now) continue;
+      if (busyChats.has(item.chatId)) continue;
+
+      const lastSent = this.lastSentToChat.get(item.chatId) || 0;
+      if (now - lastSent < this.perChatInterval) {
+        busyChats.add(item.chatId);
+        continue;
+      }
+
+      this.queue.splice(i, 1);
+      i -= 1;
+      this.tokens -= 1;
+      this.lastSentToChat.set(item.chatId, now);
+      busyChats.add(item.chatId);
 
-    // Process messages in parallel with rate limiting
-    const promises = batch.map(item => this.sendMessageWithRetry(item));
-    await Promise.allSettled(promises);
+      this.inFlight += 1;
+      this.sendMessageWithRetry(item).finally(() => {
+        this.inFlight -= 1;
+      });
+    }
+
+    // Forget chats we haven't sent to recently so the map doesn't grow forever
+    if (this.lastSentToChat.size > 10000) {
+      for (const [chatId, sentAt] of this.lastSentToChat) {
+        if (now - sentAt > this.perChatInterval) this.lastSentToChat.delete(chatId);
+      }
+    }
   }
 
   // Send message with retry logic
@@ -81,41 +230,164 @@ class MessageQueue {
         throw new Error('Bot instance not set. Call messageQueue.setBot() first.');
       }
       
-      await this.botInstance.sendMessage(queueItem.chatId, queueItem.message, queueItem.options);
+      if (queueItem.type === 'voice') {
+        await audioService.sendVoice(queueItem.message, input =>
+          this.botInstance.sendVoice(queueItem.chatId, input, queueItem.options)
+        );
+      } else {
+        await this.botInstance.sendMessage(queueItem.chatId, queueItem.message, queueItem.options);
+      }
       
       console.log(`✅ Message sent to ${queueItem.chatId}`);
+      this.stats.sent += 1;
+      await this.persistState(queueItem, 'sent');
+      await this.recordDelivery(queueItem, 'sent');
     } catch (error) {
       console.error(`❌ Failed to send message to ${queueItem.chatId}:`, error.message);
-      
-      // Retry logic
+      const { type, retryAfter } = this.classifyError(error);
+
+      if (type === 'rate_limited') {
+        // Telegram says exactly when to come back; this doesn't count as a failed attempt
+        const waitMs = retryAfter * 1000;
+        this.stats.rateLimited += 1;
+        this.stats.lastRetryAfter = retryAfter;
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + waitMs);
+        console.log(`⏳ Rate limited, pausing sends for ${retryAfter}s`);
+        this.requeue(queueItem, Date.now() + waitMs);
+        await this.persistState(queueItem, 'failed', error.message, new Date(queueItem.nextAttemptAt));
+        return;
+      }
+
+      // The user blocked the bot: retrying won't help, stop sending them lessons
+      if (type === 'blocked') {
+        console.log(`🚫 User ${queueItem.chatId} blocked the bot, marking inactive`);
+        this.stats.blocked += 1;
+        await this.markDead(queueItem, error.message);
+        try {
+          await database.deactivateUser(queueItem.chatId.toString(), 'blocked');
+        } catch (dbError) {
+          console.error(`❌ Failed to deactivate blocked user ${queueItem.chatId}:`, dbError.message);
+        }
+        return;
+      }
+
+      // e.g. 400 chat not found / message too long: the same request will fail again
+      if (type === 'permanent') {
+        console.error(`💀 Message ${queueItem.id} rejected permanently`);
+        this.stats.permanentErrors += 1;
+        await this.markDead(queueItem, error.message);
+        return;
+      }
+
+      this.stats.transientErrors += 1;
       if (queueItem.retries < queueItem.maxRetries) {
         queueItem.retries++;
-        console.log(`🔄 Retrying message ${queueItem.id} (attempt ${queueItem.retries})`);
-        
-        // Add back to queue with delay
-        setTimeout(() => {
-          this.queue.unshift(queueItem);
-        }, 5000 * queueItem.retries); // Exponential backoff
+        this.stats.retried += 1;
+        // Exponential backoff: 5s, 10s, 20s...
+        const retryDelay = config.MESSAGE_QUEUE.RETRY_BASE_MS * Math.pow(2, queueItem.retries - 1);
+        console.log(`🔄 Retrying message ${queueItem.id} in ${retryDelay}ms (attempt ${queueItem.retries})`);
+        this.requeue(queueItem, Date.now() + retryDelay);
+        await this.persistState(queueItem, 'failed', error.message, new Date(queueItem.nextAttemptAt));
       } else {
         console.error(`💀 Message ${queueItem.id} failed after ${queueItem.maxRetries} retries`);
+        await this.markDead(queueItem, error.message);
+      }
+    }
+  }
+
+  // Put an item back at the front; processQueue skips it until nextAttemptAt
+  requeue(queueItem, nextAttemptAt) {
+    queueItem.nextAttemptAt = nextAttemptAt;
+    if (this.isShuttingDown) return; // persisted as failed, resumed on next start
+    this.queue.unshift(queueItem);
+    if (!this.isProcessing) {
+      this.startProcessing();
+    }
+  }
+
+  async markDead(queueItem, errorMessage) {
+    this.stats.dead += 1;
+    await this.persistState(queueItem, 'dead', errorMessage);
+    await this.recordDelivery(queueItem, 'failed', errorMessage);
+  }
+
+  // rate_limited (429), blocked (403), permanent (other 4xx) or transient (5xx, network)
+  classifyError(error) {
+    const body = error.response && error.response.body;
+    const code = body && body.error_code;
+
+    if (code === 429) {
+      const retryAfter = (body.parameters && body.parameters.retry_after) || 1;
+      return { type: 'rate_limited', retryAfter };
+    }
+    if (this.isBlockedError(error)) return { type: 'blocked' };
+    if (code >= 400 && code < 500) return { type: 'permanent' };
+    return { type: 'transient' };
+  }
+
+  // Telegram answers 403 when the user blocked the bot or deleted their account
+  isBlockedError(error) {
+    const body = error.response && error.response.body;
+    return Boolean(body && body.error_code === 403);
+  }
+
+  async persistState(queueItem, state, errorMessage = null, nextAttemptAt = null) {
+    if (!queueItem.id) return;
+
+    try {
+      await database.updateQueueItem(queueItem.id, {
+        state,
+        retries: queueItem.retries,
+        lastError: errorMessage,
+        nextAttemptAt: nextAttemptAt ? toSqlDate(nextAttemptAt) : null
+      });
+    } catch (error) {
+      console.error(`❌ Failed to persist queue item ${queueItem.id}:`, error.message);
+    }
+  }
+
+  // Update the delivery log for lesson messages
+  async recordDelivery(queueItem, status, errorMessage = null) {
+    if (!queueItem.deliveryId) return;
+
+    try {
+      await database.updateDeliveryStatus(queueItem.deliveryId, status, errorMessage);
+      if (status === 'sent') {
+        // A new lesson ends any quiz in progress, so the next typed sentence is graded against it
+        exercises.stop(queueItem.chatId.toString());
+        await vocabulary.addFromDelivery(queueItem.deliveryId);
       }
+    } catch (error) {
+      console.error(`❌ Failed to record delivery ${queueItem.deliveryId}:`, error.message);
     }
   }
 
   // Get queue status
   getStatus() {
+    const now = Date.now();
     return {
       queueLength: this.queue.length,
+      inFlight: this.inFlight,
+      pendingRetries: this.queue.filter(item => item.nextAttemptAt && item.nextAttemptAt > now).length,
       isProcessing: this.isProcessing,
+      isShuttingDown: this.isShuttingDown,
+      isPaused: this.isPaused,
       rateLimit: this.rateLimit,
-      batchSize: this.batchSize
+      perChatIntervalMs: this.perChatInterval,
+      pausedUntil: this.pausedUntil > now ? new Date(this.pausedUntil).toISOString() : null,
+      stats: { ...this.stats }
     };
   }
 
-  // Clear the queue (emergency use)
-  clearQueue() {
+  // Clear the queue (emergency use) — also marks persisted items dead so they aren't resumed
+  async clearQueue() {
     const clearedCount = this.queue.length;
     this.queue = [];
+    try {
+      await database.clearUnsentQueueItems();
+    } catch (error) {
+      console.error('❌ Failed to clear persisted queue:', error.message);
+    }
     console.log(`🧹 Cleared ${clearedCount} messages from queue`);
   }
 
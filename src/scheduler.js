@@ -1,57 +1,271 @@
 const cron = require('node-cron');
 const database = require('./database');
-const deepseekService = require('./services/deepseek');
+const audioService = require('./services/audio');
+const lessonDrafts = require('./services/lessonDrafts');
+const progressStats = require('./services/progressStats');
 const messageQueue = require('./messageQueue');
 const config = require('./config');
+const { formatWordBreakdown, formatTransliteration } = require('./services/lessonFormatter');
+const { getLocalTime, getStartOfLocalDay, toSqlDate, formatHour } = require('./services/localTime');
+
+const HOUR_MS = 60 * 60 * 1000;
 
 class Scheduler {
   constructor(telegramBot) {
     this.bot = telegramBot;
+    this.lastAdminSummaryDate = null;
     this.setupDailyMessages();
+    this.setupLessonReview();
+  }
+
+  // Draft tomorrow's lessons in the evening and auto-approve whatever the admin
+  // hasn't reviewed by the deadline (both in the bot timezone)
+  setupLessonReview() {
+    cron.schedule(config.LESSON_REVIEW.PREGENERATE_CRON, async () => {
+      await this.pregenerateLessons();
+    }, {
+      timezone: config.TIMEZONE
+    });
+
+    cron.schedule(config.LESSON_REVIEW.AUTO_APPROVE_CRON, async () => {
+      await this.autoApproveLessons();
+    }, {
+      timezone: config.TIMEZONE
+    });
+  }
+
+  async pregenerateLessons(now = new Date()) {
+    try {
+      const lessonDate = lessonDrafts.getNextLessonDate(now);
+      const drafts = await lessonDrafts.pregenerate(lessonDate);
+      for (const draft of drafts) {
+        await this.bot.sendDraftForReview(draft);
+      }
+    } catch (error) {
+      console.error('❌ Error in pregenerateLessons:', error);
+    }
   }
 
+  async autoApproveLessons(now = new Date()) {
+    try {
+      const lessonDate = lessonDrafts.getNextLessonDate(now);
+      const count = await lessonDrafts.autoApprove(lessonDate);
+      if (count > 0 && config.ADMIN_TELEGRAM_ID && this.bot?.bot) {
+        await this.bot.bot.sendMessage(
+          config.ADMIN_TELEGRAM_ID,
+          `⏰ Review deadline passed: auto-approved ${count} lesson${count === 1 ? '' : 's'} for ${lessonDate}.`
+        );
+      }
+    } catch (error) {
+      console.error('❌ Error in autoApproveLessons:', error);
+    }
+  }
+
+  // One hourly tick; each user is picked up when their local hour matches
   setupDailyMessages() {
-    cron.schedule(config.DAILY_MESSAGE_CRON, async () => {
-      console.log('📅 Daily message scheduler triggered (11:00 Tokyo)');
-      await this.sendDailyMessages();
+    cron.schedule(config.DELIVERY_TICK_CRON, async () => {
+      await this.runDeliveryTick();
     }, {
       timezone: config.TIMEZONE
     });
 
-    console.log(`⏰ Daily message scheduler set (11:00 ${config.TIMEZONE})`);
+    console.log(`⏰ Delivery scheduler set (hourly, default ${formatHour(config.DEFAULT_DELIVERY_HOUR)} ${config.TIMEZONE})`);
+  }
+
+  async runDeliveryTick(now = new Date()) {
+    try {
+      const users = await this.getActiveUsers();
+
+      // Bucket users by timezone so each zone's local time is computed once
+      const buckets = {};
+      for (const user of users) {
+        const timezone = user.timezone || config.TIMEZONE;
+        if (!buckets[timezone]) {
+          buckets[timezone] = {
+            localTime: getLocalTime(timezone, now),
+            previousTime: getLocalTime(timezone, new Date(now.getTime() - HOUR_MS)),
+            users: []
+          };
+        }
+        buckets[timezone].users.push(user);
+      }
+
+      const lessonUsers = [];
+      const reviewUsers = [];
+      const summaryUsers = [];
+      for (const { localTime, previousTime, users: bucketUsers } of Object.values(buckets)) {
+        for (const user of bucketUsers) {
+          for (const slot of this.getDueSlots(user, localTime, previousTime)) {
+            lessonUsers.push({ ...user, lesson_slot: slot, lesson_date: localTime.dateKey });
+          }
+          if (localTime.hour === config.REVIEW.REMINDER_HOUR) reviewUsers.push(user);
+          if (localTime.weekday === 0 && localTime.hour === config.WEEKLY_SUMMARY_HOUR) summaryUsers.push(user);
+        }
+      }
+
+      console.log(`📅 Delivery tick: ${lessonUsers.length} lessons, ${reviewUsers.length} review reminders due`);
+
+      if (lessonUsers.length > 0) {
+        await this.sendDailyMessages(lessonUsers, users.length, { notifyAdmin: false });
+      }
+      if (reviewUsers.length > 0) {
+        await this.sendReviewReminders(reviewUsers);
+      }
+      if (summaryUsers.length > 0) {
+        await this.sendWeeklySummaries(summaryUsers, now);
+      }
+      if (getLocalTime(config.TIMEZONE, now).hour === config.ADMIN_SUMMARY_HOUR) {
+        await this.notifyAdminDailySummary(now);
+      }
+    } catch (error) {
+      console.error('❌ Error in runDeliveryTick:', error);
+    }
   }
 
-  async sendDailyMessages() {
+  // Local hours of a user's lessons: the delivery hour plus evenly spaced extras.
+  // The window stops at midnight so slots never wrap into the next day; a late
+  // delivery hour leaves room for fewer lessons (at most one per hour).
+  getSlotHours(user) {
+    const deliveryHour = user.delivery_hour ?? config.DEFAULT_DELIVERY_HOUR;
+    const windowHours = Math.min(config.LESSON_WINDOW_HOURS, 24 - deliveryHour);
+    const lessonsPerDay = Math.min(Math.max(user.lessons_per_day || 1, 1), config.MAX_LESSONS_PER_DAY, windowHours);
+    const spacing = Math.max(1, Math.floor(windowHours / lessonsPerDay));
+
+    return Array.from({ length: lessonsPerDay }, (_, slot) => deliveryHour + slot * spacing);
+  }
+
+  // Lesson slots (0-based) due for this user at localTime, given the local time an hour earlier.
+  // Normally that is the slot at the current hour; when DST skips an hour its slot is sent with
+  // the next one, and a repeated hour sends nothing (its lessons went out the first time).
+  getDueSlots(user, localTime, previousTime) {
+    const isWeekend = localTime.weekday === 0 || localTime.weekday === 6;
+    if (user.weekdays_only && isWeekend) return [];
+
+    const hoursPassed = (localTime.hour - previousTime.hour + 24) % 24;
+    const dueHours = Array.from({ length: hoursPassed }, (_, back) => (localTime.hour - back + 24) % 24);
+    return this.getSlotHours(user)
+      .map((hour, slot) => (dueHours.includes(hour) ? slot : -1))
+      .filter(slot => slot !== -1);
+  }
+
+  async sendReviewReminders(users) {
     try {
-      // Free bot: send to every registered user (no subscription gate)
-      const users = await this.getAllUsers();
+      await database.seedReviewItems(null, config.REVIEW.FIRST_REVIEW_DAYS);
+      const recipients = new Set(users.map(user => user.telegram_user_id));
+      const dueCounts = (await database.getDueReviewCounts())
+        .filter(row => recipients.has(row.telegram_user_id));
+
+      const keyboard = {
+        reply_markup: {
+          inline_keyboard: [[{ text: '🔁 Start review', callback_data: 'review_next' }]]
+        }
+      };
+
+      let queued = 0;
+      for (const { telegram_user_id: telegramUserId, due_count: dueCount } of dueCounts) {
+        const chatId = parseInt(telegramUserId, 10);
+        if (isNaN(chatId)) {
+          console.error(`❌ Invalid chatId for user ${telegramUserId}`);
+          continue;
+        }
+
+        const label = dueCount === 1 ? 'sentence is' : 'sentences are';
+        await messageQueue.addMessage(chatId, `🔁 ${dueCount} ${label} ready for review. A few minutes now keeps them fresh!`, keyboard);
+        queued += 1;
+      }
+
+      console.log(`📋 Queued ${queued} review reminders`);
+    } catch (error) {
+      console.error('❌ Error in sendReviewReminders:', error);
+    }
+  }
+
+  // Sunday progress summary; users with no lessons or practice this week are skipped
+  async sendWeeklySummaries(users, now = new Date()) {
+    let queued = 0;
+    for (const user of users) {
+      try {
+        const chatId = parseInt(user.telegram_user_id, 10);
+        if (isNaN(chatId)) {
+          console.error(`❌ Invalid chatId for user ${user.telegram_user_id}`);
+          continue;
+        }
+
+        const summary = progressStats.formatWeeklySummary(await progressStats.getStats(user, now));
+        if (!summary) continue;
+
+        await messageQueue.addMessage(chatId, summary);
+        queued += 1;
+      } catch (error) {
+        console.error(`❌ Error preparing weekly summary for user ${user.telegram_user_id}:`, error);
+      }
+    }
+
+    console.log(`📋 Queued ${queued} weekly summaries`);
+  }
+
+  // Free bot: no subscription gate. Without a user list, every active user gets a lesson now.
+  // Users tagged with lesson_slot get that slot's sentence (slot 0 is the main daily lesson);
+  // with lesson_date too, a slot already delivered that local day is skipped.
+  // Manual sends report to the admin right away; hourly ticks leave it to the daily summary.
+  async sendDailyMessages(users = null, activeCount = null, { notifyAdmin = true } = {}) {
+    try {
+      if (!users) {
+        users = await this.getActiveUsers();
+      }
+      const subscriberCount = activeCount ?? users.length;
 
       console.log(`📤 Queuing messages for ${users.length} users`);
 
+      const lessonKey = user => `${user.difficulty_level}:${user.lesson_slot || 0}`;
       const difficultySentences = {};
-      for (let level = 1; level <= 5; level++) {
+      const sentenceIds = {};
+      const audioPaths = {};
+      const lessonKeys = [...new Set(users.map(lessonKey))].sort();
+      for (const key of lessonKeys) {
+        const [level, slot] = key.split(':').map(Number);
         try {
-          difficultySentences[level] = await deepseekService.generateRussianSentence(level);
-          console.log(`✅ Generated sentence for difficulty ${level}`);
+          const released = await lessonDrafts.getReleasedLesson(level, slot);
+          if (!released) continue;
+          difficultySentences[key] = released.lesson;
+          sentenceIds[key] = released.sentenceId;
+          console.log(`✅ Prepared sentence for difficulty ${level} (slot ${slot})`);
+          // Synthesised once here; Telegram gets one upload, later users are sent its file_id
+          if (users.some(user => lessonKey(user) === key && user.audio_enabled !== 0)) {
+            audioPaths[key] = await audioService.getLessonAudio(sentenceIds[key], difficultySentences[key].russian_text);
+          }
         } catch (error) {
-          console.error(`❌ Error generating sentence for difficulty ${level}:`, error);
+          console.error(`❌ Error preparing sentence for difficulty ${level} (slot ${slot}):`, error);
         }
       }
 
       let queued = 0;
       for (const user of users) {
         try {
-          const sentenceData = difficultySentences[user.difficulty_level];
+          const sentenceData = difficultySentences[lessonKey(user)];
           if (sentenceData) {
-            await this.saveSentence(sentenceData, user.difficulty_level);
-
-            const message = this.createDailyMessage(sentenceData, users.length);
+            const message = this.createDailyMessage(sentenceData, subscriberCount);
             const chatId = parseInt(user.telegram_user_id, 10);
             if (isNaN(chatId)) {
               console.error(`❌ Invalid chatId for user ${user.telegram_user_id}`);
               continue;
             }
-            messageQueue.addMessage(chatId, message);
+            const deliveryId = user.lesson_date
+              ? await database.createScheduledDelivery(user.telegram_user_id, sentenceIds[lessonKey(user)], user.lesson_slot, user.lesson_date)
+              : await database.createDelivery(user.telegram_user_id, sentenceIds[lessonKey(user)], 'daily');
+            if (!deliveryId) {
+              console.log(`⏭️ Lesson slot ${user.lesson_slot} already delivered to ${user.telegram_user_id} on ${user.lesson_date}`);
+              continue;
+            }
+            const quizKeyboard = {
+              reply_markup: {
+                inline_keyboard: [[{ text: '🧠 Quiz me', callback_data: `quiz_start_${sentenceIds[lessonKey(user)]}` }]]
+              }
+            };
+            await messageQueue.addMessage(chatId, message, quizKeyboard, { deliveryId });
+            if (audioPaths[lessonKey(user)] && user.audio_enabled !== 0) {
+              await messageQueue.addMessage(chatId, audioPaths[lessonKey(user)], { caption: '🔊 Listen and repeat' }, { type: 'voice' });
+            }
             queued += 1;
           } else {
             console.error(`❌ No sentence data for difficulty level ${user.difficulty_level}`);
@@ -61,21 +275,57 @@ class Scheduler {
         }
       }
 
-      console.log(`📋 Queued ${queued} messages for ${users.length} registered users`);
-      await this.notifyAdminUserCount(users.length, queued);
+      console.log(`📋 Queued ${queued} messages for ${subscriberCount} active users`);
+      if (notifyAdmin) {
+        await this.notifyAdminUserCount(subscriberCount, queued);
+      }
     } catch (error) {
       console.error('❌ Error in sendDailyMessages:', error);
     }
   }
 
-  async notifyAdminUserCount(registeredCount, queuedCount) {
-    const adminId = config.ADMIN_TELEGRAM_ID;
+  async notifyAdminUserCount(activeCount, queuedCount) {
     const summary =
       `📊 Russian bot send complete\n\n` +
-      `Registered users: ${registeredCount}\n` +
+      `Active users: ${activeCount}\n` +
       `Lessons queued: ${queuedCount}` +
-      (registeredCount === 0 ? '\n\n(No users yet.)' : '');
+      (activeCount === 0 ? '\n\n(No active users.)' : '');
+
+    await this.notifyAdmin(summary);
+  }
 
+  // Once per day (bot timezone): users and today's scheduled lessons by outcome
+  async notifyAdminDailySummary(now = new Date()) {
+    const { dateKey } = getLocalTime(config.TIMEZONE, now);
+    if (this.lastAdminSummaryDate === dateKey) return;
+    this.lastAdminSummaryDate = dateKey;
+
+    try {
+      const levels = await database.getUserStats();
+      const deliveries = await database.getDeliveryStats(toSqlDate(getStartOfLocalDay(config.TIMEZONE, now)));
+
+      const registered = levels.reduce((sum, row) => sum + row.total, 0);
+      const active = levels.reduce((sum, row) => sum + (row.active || 0), 0);
+      const byStatus = { sent: 0, failed: 0, queued: 0 };
+      deliveries
+        .filter(row => row.kind === 'daily')
+        .forEach(row => {
+          byStatus[row.status] = (byStatus[row.status] || 0) + row.count;
+        });
+
+      await this.notifyAdmin(
+        `📊 Daily summary for ${dateKey}\n\n` +
+        `Registered users: ${registered}\n` +
+        `Active users: ${active}\n` +
+        `Scheduled lessons: ${byStatus.sent} sent · ${byStatus.failed} failed · ${byStatus.queued} still queued`
+      );
+    } catch (error) {
+      console.error('❌ Error in notifyAdminDailySummary:', error);
+    }
+  }
+
+  async notifyAdmin(summary) {
+    const adminId = config.ADMIN_TELEGRAM_ID;
     console.log(summary.replace(/\n/g, ' | '));
 
     if (!adminId || Number.isNaN(adminId)) {
@@ -91,13 +341,18 @@ class Scheduler {
       }
       await telegram.sendMessage(adminId, summary);
     } catch (error) {
-      console.error('❌ Failed to notify admin of user count:', error.message);
+      console.error('❌ Failed to notify admin:', error.message);
     }
   }
 
-  async getAllUsers() {
+  // Users who should get lessons: not stopped/blocked and not inside a timed pause
+  async getActiveUsers() {
     return new Promise((resolve, reject) => {
-      const query = `SELECT * FROM users`;
+      const query = `
+        SELECT * FROM users
+        WHERE COALESCE(is_active, 1) = 1
+        AND (paused_until IS NULL OR paused_until <= datetime('now'))
+      `;
 
       database.db.all(query, [], (err, rows) => {
         if (err) {
@@ -111,19 +366,7 @@ class Scheduler {
   }
 
   createDailyMessage(sentenceData, subscriberCount = 0) {
-    // Create word breakdown
-    let wordBreakdown = '';
-    if (sentenceData.word_breakdown && sentenceData.word_breakdown.length > 0) {
-      wordBreakdown = '\n\n📚 Word Breakdown:\n';
-      for (const word of sentenceData.word_breakdown) {
-        if (typeof word === 'object' && word.word && word.meaning) {
-          const pronunciation = word.pronunciation ? word.pronunciation.trim().toLowerCase() : '';
-          wordBreakdown += `${word.word} - ${word.meaning} - ${pronunciation}\n`;
-        } else if (typeof word === 'string') {
-          wordBreakdown += `${word}\n`;
-        }
-      }
-    }
+    const wordBreakdown = formatWordBreakdown(sentenceData.word_breakdown);
 
     const peopleLabel = subscriberCount === 1 ? 'person' : 'people';
     const subscribeLine =
@@ -134,7 +377,7 @@ class Scheduler {
     return `🇷🇺 Russian Lesson
 
 📝 Russian Sentence:
-${sentenceData.russian_text}
+${sentenceData.russian_text}${formatTransliteration(sentenceData.russian_text)}
 
 🔤 English Translation:
 ${sentenceData.english_translation}
@@ -144,31 +387,6 @@ Try typing the sentence back in Russian!${wordBreakdown}
 Practice writing the Russian sentence!${subscribeLine}`;
   }
 
-  async saveSentence(sentenceData, difficultyLevel) {
-    return new Promise((resolve, reject) => {
-      const query = `
-        INSERT INTO sentences (russian_text, english_translation, difficulty_level, word_breakdown)
-        VALUES (?, ?, ?, ?)
-      `;
-      
-      const wordBreakdown = JSON.stringify(sentenceData.word_breakdown || []);
-      
-      database.db.run(query, [
-        sentenceData.russian_text,
-        sentenceData.english_translation,
-        difficultyLevel,
-        wordBreakdown
-      ], function(err) {
-        if (err) {
-          console.error('❌ Error saving sentence:', err);
-          reject(err);
-        } else {
-          resolve(this.lastID);
-        }
-      });
-    });
-  }
-
   delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
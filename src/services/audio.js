@@ -0,0 +1,115 @@
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+const database = require('../database');
+const { createTtsBackend } = require('./tts');
+
+// Lesson audio, synthesised once per sentence and cached on disk as <sentenceId>.ogg.
+// Each file is uploaded to Telegram once; later sends reuse the file_id stored on the sentence.
+class AudioService {
+  constructor() {
+    this.backend = createTtsBackend();
+    this.cacheDir = config.TTS.CACHE_DIR;
+    this.pending = new Map(); // sentenceId -> in-progress synthesis, so concurrent callers share it
+    this.uploads = new Map(); // sentenceId -> in-progress upload resolving to its file_id
+  }
+
+  isEnabled() {
+    return Boolean(this.backend);
+  }
+
+  // Path to the voice file for a sentence, or null if audio is off or synthesis failed
+  async getLessonAudio(sentenceId, russianText) {
+    if (!this.backend || !sentenceId || !russianText) return null;
+
+    const audioPath = path.join(this.cacheDir, `${sentenceId}.ogg`);
+    try {
+      await fs.access(audioPath);
+      return audioPath;
+    } catch (error) {
+      // Not cached yet
+    }
+
+    if (!this.pending.has(sentenceId)) {
+      this.pending.set(sentenceId, this.synthesize(audioPath, russianText).finally(() => {
+        this.pending.delete(sentenceId);
+      }));
+    }
+    return this.pending.get(sentenceId);
+  }
+
+  // <cacheDir>/<sentenceId>.ogg -> sentenceId
+  getSentenceId(audioPath) {
+    const sentenceId = parseInt(path.basename(audioPath, '.ogg'), 10);
+    return Number.isNaN(sentenceId) ? null : sentenceId;
+  }
+
+  // Sends a cached lesson file through `send(input)` (a bot.sendVoice call), passing the
+  // Telegram file_id instead of the path once the file has been uploaded
+  async sendVoice(audioPath, send) {
+    const sentenceId = this.getSentenceId(audioPath);
+    if (!sentenceId) return send(audioPath);
+
+    let fileId = await database.getVoiceFileId(sentenceId);
+    if (!fileId && this.uploads.has(sentenceId)) {
+      fileId = await this.uploads.get(sentenceId);
+    }
+
+    if (fileId) {
+      try {
+        return await send(fileId);
+      } catch (error) {
+        // A 400 means Telegram no longer knows the id (e.g. a new bot token); upload the file again
+        const body = error.response && error.response.body;
+        if (!body || body.error_code !== 400) throw error;
+        console.error(`❌ Stored voice file_id for sentence ${sentenceId} was rejected:`, error.message);
+        await database.setVoiceFileId(sentenceId, null);
+      }
+    }
+    return this.upload(sentenceId, audioPath, send);
+  }
+
+  // One upload per sentence at a time; callers arriving meanwhile wait for its file_id
+  async upload(sentenceId, audioPath, send) {
+    if (this.uploads.has(sentenceId)) {
+      const fileId = await this.uploads.get(sentenceId);
+      return send(fileId || audioPath);
+    }
+
+    let message = null;
+    const upload = send(audioPath).then(async sent => {
+      message = sent;
+      const fileId = sent && sent.voice ? sent.voice.file_id : null;
+      if (fileId) {
+        await database.setVoiceFileId(sentenceId, fileId);
+      }
+      return fileId;
+    });
+    this.uploads.set(sentenceId, upload.catch(() => null));
+
+    try {
+      await upload;
+      return message;
+    } finally {
+      this.uploads.delete(sentenceId);
+    }
+  }
+
+  async synthesize(audioPath, russianText) {
+    // Write to a temp name and rename, so a crash never leaves a truncated file in the cache
+    const tempPath = `${audioPath}.partial`;
+    try {
+      await fs.mkdir(this.cacheDir, { recursive: true });
+      console.log(`🔊 Synthesising lesson audio with ${this.backend.name}: ${path.basename(audioPath)}`);
+      await this.backend.synthesize(russianText, tempPath);
+      await fs.rename(tempPath, audioPath);
+      return audioPath;
+    } catch (error) {
+      console.error(`❌ ${this.backend.name} TTS failed:`, error.message);
+      await fs.rm(tempPath, { force: true });
+      return null;
+    }
+  }
+}
+
+module.exports = new AudioService();
@@ -0,0 +1,38 @@
+// Multiple-choice helpers shared by the placement quiz and lesson exercises
+
+const OPTION_LABELS = ['A', 'B', 'C', 'D'];
+
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// The correct answer plus up to OPTION_LABELS.length - 1 distinct wrong ones, shuffled.
+// Null when the candidates don't yield enough distinct distractors.
+function buildChoices(correct, candidates) {
+  const answer = correct.trim();
+  const seen = new Set([answer.toLowerCase()]);
+  const distractors = [];
+
+  for (const candidate of candidates) {
+    const text = (candidate || '').trim();
+    if (!text || seen.has(text.toLowerCase())) continue;
+    seen.add(text.toLowerCase());
+    distractors.push(text);
+    if (distractors.length === OPTION_LABELS.length - 1) break;
+  }
+  if (distractors.length < OPTION_LABELS.length - 1) return null;
+
+  const options = shuffle([answer, ...distractors]);
+  return { options, answerIndex: options.indexOf(answer) };
+}
+
+module.exports = {
+  OPTION_LABELS,
+  shuffle,
+  buildChoices
+};
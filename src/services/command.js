@@ -0,0 +1,70 @@
+const { spawn } = require('child_process');
+
+// Run a local binary, optionally feeding `input` on stdin; resolves with stdout,
+// rejects on a non-zero exit or once `timeoutMs` passes (the process is killed)
+function runCommand(command, args, { input = null, timeoutMs = 30000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new Error(`${command} timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    child.stdout.on('data', chunk => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+    });
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(new Error(`${command} failed to start: ${error.message}`));
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        reject(new Error(`${command} exited with code ${code}: ${stderr.trim().slice(0, 200)}`));
+      }
+    });
+
+    // A child that exits before reading its input closes the pipe; the exit code decides the outcome
+    child.stdin.on('error', error => {
+      if (error.code === 'EPIPE') return;
+      clearTimeout(timer);
+      child.kill('SIGKILL');
+      reject(new Error(`${command} stdin failed: ${error.message}`));
+    });
+    child.stdin.end(input === null ? undefined : input);
+  });
+}
+
+// Telegram voice messages must be OGG/Opus
+function encodeVoice(ffmpegPath, wavPath, oggPath, timeoutMs) {
+  return runCommand(ffmpegPath, [
+    '-y', '-loglevel', 'error',
+    '-i', wavPath,
+    '-c:a', 'libopus', '-b:a', '32k', '-ac', '1',
+    '-f', 'ogg', oggPath
+  ], { timeoutMs });
+}
+
+// Speech recognisers want 16 kHz mono PCM WAV; Telegram voice notes arrive as OGG/Opus
+function decodeForSpeech(ffmpegPath, inputPath, wavPath, timeoutMs) {
+  return runCommand(ffmpegPath, [
+    '-y', '-loglevel', 'error',
+    '-i', inputPath,
+    '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le',
+    wavPath
+  ], { timeoutMs });
+}
+
+module.exports = {
+  runCommand,
+  encodeVoice,
+  decodeForSpeech
+};
@@ -1,12 +1,13 @@
-const axios = require('axios');
 const config = require('../config');
 const database = require('../database');
+const { createProvider } = require('./llm');
+const { MODEL_LESSON_SCHEMA, parseLessonContent, validateLesson, normalizeLesson } = require('./lessonSchema');
 
+// Sentence generator; the model behind it is whatever config.LLM.PROVIDER selects
 class DeepSeekService {
   constructor() {
-    this.apiKey = config.DEEPSEEK_API_KEY;
-    this.apiUrl = config.DEEPSEEK_API_URL;
-    this.sentenceCache = {}; // Cache for sentences by difficulty level
+    this.provider = createProvider();
+    this.sentenceCache = {}; // Cache for sentences by difficulty level and lesson slot
     this.lastCacheDate = null; // Track when cache was last updated
   }
 
@@ -25,29 +26,95 @@ class DeepSeekService {
     return false;
   }
 
-  // Get cached sentence or generate new one
-  async generateRussianSentence(difficultyLevel, retryCount = 0) {
+  // Ask for a lesson, re-prompting with the validation errors until it passes the schema
+  async requestValidLesson(messages, metadata) {
+    const conversation = [...messages];
+
+    for (let attempt = 0; attempt <= config.LLM.MAX_REPAIR_ATTEMPTS; attempt++) {
+      const content = await this.provider.complete({
+        messages: conversation,
+        // High temperature for maximum creativity and diversity; repairs should stay close to the original
+        temperature: attempt === 0 ? 1.2 : 0.3,
+        maxTokens: 1500,
+        jsonSchema: MODEL_LESSON_SCHEMA,
+        metadata
+      });
+      console.log(`🔍 ${this.provider.name} raw response:`, content);
+
+      let lesson = null;
+      let errors;
+      try {
+        lesson = parseLessonContent(content);
+        errors = validateLesson(lesson);
+      } catch (parseError) {
+        errors = [`Response was not valid JSON: ${parseError.message}`];
+      }
+
+      if (errors.length === 0) {
+        return normalizeLesson(lesson);
+      }
+
+      console.warn(`⚠️ Lesson failed validation (attempt ${attempt + 1}):`, errors);
+      conversation.push(
+        { role: 'assistant', content },
+        {
+          role: 'user',
+          content: `That lesson is invalid:\n- ${errors.join('\n- ')}\n\nReturn the corrected lesson as a single JSON object with only russian_text, english_translation and word_breakdown.`
+        }
+      );
+    }
+
+    throw new Error('Lesson failed schema validation after repair attempts');
+  }
+
+  // Get cached sentence or generate new one; each daily lesson slot gets its own sentence
+  async generateRussianSentence(difficultyLevel, slot = 0) {
     // Check if cache needs reset
     this.shouldResetCache();
+    const cacheKey = `${difficultyLevel}:${slot}`;
     
     // Return cached sentence if available
-    if (this.sentenceCache[difficultyLevel]) {
-      console.log(`📦 Using cached sentence for difficulty ${difficultyLevel}`);
-      return this.sentenceCache[difficultyLevel];
+    if (this.sentenceCache[cacheKey]) {
+      console.log(`📦 Using cached sentence for difficulty ${difficultyLevel} (slot ${slot})`);
+      return this.sentenceCache[cacheKey];
     }
     
-    console.log(`🔄 Generating new sentence for difficulty ${difficultyLevel}`);
-    
+    console.log(`🔄 Generating new sentence for difficulty ${difficultyLevel} (slot ${slot})`);
+
+    // Today's other slots may not be saved yet, so avoid them explicitly
+    const todaysTexts = Object.entries(this.sentenceCache)
+      .filter(([key]) => key.startsWith(`${difficultyLevel}:`))
+      .map(([, sentence]) => sentence.russian_text);
+    const parsed = await this.generateLesson(difficultyLevel, todaysTexts, { difficultyLevel, slot });
+
+    // Cache the generated sentence
+    this.sentenceCache[cacheKey] = parsed;
+    console.log(`💾 Cached sentence for difficulty ${difficultyLevel} (slot ${slot})`);
+
+    return parsed;
+  }
+
+  // Generate a fresh lesson without touching the daily cache; avoidTexts are sentences
+  // not yet in the database that it must differ from (e.g. other lessons planned for the day)
+  async generateLesson(difficultyLevel, avoidTexts = [], metadata = { difficultyLevel }, retryCount = 0) {
     try {
       // Get recent sentences to avoid duplicates (check last 50 sentences for better diversity)
       const recentSentences = await database.getRecentSentences(difficultyLevel, 50);
-      const recentRussianTexts = recentSentences.map(s => s.russian_text).filter(Boolean);
+      const recentRussianTexts = [...avoidTexts, ...recentSentences.map(s => s.russian_text)]
+        .filter(Boolean);
       
       let avoidPrompt = '';
       if (recentRussianTexts.length > 0) {
         avoidPrompt = `\n\nCRITICAL: Do NOT generate any of these sentences that were recently used:\n${recentRussianTexts.slice(0, 20).map((text, i) => `${i + 1}. ${text}`).join('\n')}\n\nYou MUST create a completely different sentence with different words, topics, and structure. Do not repeat similar phrases or patterns.`;
       }
       
+      // Words learners at this level marked as known in /words
+      const knownWords = await database.getCommonKnownWords(difficultyLevel, 30);
+      let knownPrompt = '';
+      if (knownWords.length > 0) {
+        knownPrompt = `\n\nLearners at this level already know these words well. Build the sentence around other vocabulary (use them only where nothing else fits): ${knownWords.join(', ')}`;
+      }
+
       const levelInfo = config.DIFFICULTY_LEVELS[difficultyLevel];
       
       // Add tense variation instruction for level 3
@@ -67,14 +134,13 @@ class DeepSeekService {
       For word_breakdown, provide an array of objects with:
       - word: the individual Russian word (break down into separate words, not phrases)
       - meaning: English meaning
-      - pronunciation: Russian pronunciation guide (using Latin letters, e.g., "ya", "lyublyu", "yest'", etc.)
       
       IMPORTANT: Break down into individual words. For example:
       - "Я люблю" (I love) should be broken down as "Я" (I) + "люблю" (love)
       - "Меня зовут" (My name is) should be broken down as "Меня" (me) + "зовут" (call)
       - "Хорошая погода" (good weather) should be broken down as "Хорошая" (good) + "погода" (weather)
       
-      DO NOT include grammatical information (cases, verb aspects, etc.). Only provide the Russian word, English meaning, and pronunciation.
+      DO NOT include grammatical information (cases, verb aspects, etc.). Only provide the Russian word and its English meaning (pronunciation is added automatically).
       
       CRITICAL REQUIREMENTS FOR MAXIMUM DIVERSITY:
       - Use a completely different topic, vocabulary, and sentence structure from any previous sentences
@@ -84,112 +150,37 @@ class DeepSeekService {
       - Use different verbs, nouns, adjectives - avoid repeating the same vocabulary
       - Change perspectives: first person, second person, third person, singular, plural
       - Be extremely creative and diverse - each sentence should feel fresh and unique
-      - If you see similar patterns in the recent sentences above, deliberately choose a different pattern, topic, and vocabulary${avoidPrompt}
-
-      Format the response as JSON with fields: russian_text, english_translation, word_breakdown`;
-
-      const response = await axios.post(this.apiUrl, {
-        model: 'deepseek-chat',
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 1.2, // High temperature for maximum creativity and diversity
-        max_tokens: 1500
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      - If you see similar patterns in the recent sentences above, deliberately choose a different pattern, topic, and vocabulary${knownPrompt}${avoidPrompt}
+
+      Respond with a single JSON object (no markdown) matching this JSON schema:
+      ${JSON.stringify(MODEL_LESSON_SCHEMA)}
+      russian_text must be Cyrillic only, and every word_breakdown word must appear in russian_text.`;
+
+      const parsed = await this.requestValidLesson(
+        [{ role: 'user', content: prompt }],
+        metadata
+      );
+      console.log('🔍 Russian text:', parsed.russian_text);
 
-      const content = response.data.choices[0].message.content;
-      console.log('🔍 DeepSeek raw response:', content);
+      // Check for duplicate sentences
+      const isDuplicate = recentRussianTexts.some(recentText => 
+        recentText.trim().toLowerCase() === parsed.russian_text.trim().toLowerCase()
+      );
       
-      try {
-        // Clean up the response - remove markdown code blocks
-        let cleanContent = content.trim();
-        if (cleanContent.startsWith('```json')) {
-          cleanContent = cleanContent.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-        }
-        if (cleanContent.startsWith('```')) {
-          cleanContent = cleanContent.replace(/^```\s*/, '').replace(/\s*```$/, '');
-        }
-        
-        console.log('🔍 Cleaned content length:', cleanContent.length);
-        console.log('🔍 Cleaned content preview:', cleanContent.substring(0, 200) + '...');
-        
-        const parsed = JSON.parse(cleanContent);
-        console.log('🔍 Parsed JSON successfully');
-        console.log('🔍 Russian text:', parsed.russian_text);
-        
-        // Validate that we have actual Cyrillic text
-        if (!parsed.russian_text || parsed.russian_text.trim() === '' || parsed.russian_text.includes('```')) {
-          throw new Error('Invalid Russian text in response');
-        }
-        
-        // Validate Cyrillic script
-        const hasCyrillic = /[\u0400-\u04FF]/.test(parsed.russian_text);
-        if (!hasCyrillic) {
-          console.warn('⚠️ Generated text may not contain Cyrillic characters');
+      if (isDuplicate) {
+        console.log(`⚠️ Duplicate sentence detected: "${parsed.russian_text}"`);
+        if (retryCount < 3) {
+          console.log(`🔄 Retrying with different prompt (attempt ${retryCount + 1})...`);
+          await new Promise(resolve => setTimeout(resolve, 1000));
+          return this.generateLesson(difficultyLevel, avoidTexts, metadata, retryCount + 1);
+        } else {
+          console.log(`⚠️ Max retries reached, using sentence despite duplicate check`);
         }
-        
-        // Check for duplicate sentences
-        const isDuplicate = recentRussianTexts.some(recentText => 
-          recentText.trim().toLowerCase() === parsed.russian_text.trim().toLowerCase()
-        );
-        
-        if (isDuplicate) {
-          console.log(`⚠️ Duplicate sentence detected: "${parsed.russian_text}"`);
-          if (retryCount < 3) {
-            console.log(`🔄 Retrying with different prompt (attempt ${retryCount + 1})...`);
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            return this.generateRussianSentence(difficultyLevel, retryCount + 1);
-          } else {
-            console.log(`⚠️ Max retries reached, using sentence despite duplicate check`);
-          }
-        }
-        
-        // Add pronunciation if missing and normalize to lowercase
-        if (parsed.word_breakdown && Array.isArray(parsed.word_breakdown)) {
-          parsed.word_breakdown.forEach(word => {
-            if (!word.pronunciation || word.pronunciation.trim() === '') {
-              // Simple pronunciation fallback based on common Russian words
-              const pronunciationMap = {
-                'Я': 'ya',
-                'люблю': 'lyublyu',
-                'есть': 'yest\'',
-                'пиццу': 'pitstsu',
-                'Меня': 'menya',
-                'зовут': 'zovut',
-                'Джон': 'jon',
-                'Сегодня': 'sevodnya',
-                'хорошая': 'khoroshaya',
-                'погода': 'pogoda'
-              };
-              word.pronunciation = pronunciationMap[word.word] || word.word.toLowerCase();
-            } else {
-              // Normalize pronunciation to lowercase (AI might return capitalized)
-              word.pronunciation = word.pronunciation.trim().toLowerCase();
-            }
-          });
-        }
-        
-        // Cache the generated sentence
-        this.sentenceCache[difficultyLevel] = parsed;
-        console.log(`💾 Cached sentence for difficulty ${difficultyLevel}`);
-        
-        return parsed;
-      } catch (parseError) {
-        console.error('❌ JSON parsing failed:', parseError.message);
-        console.error('❌ Raw content:', content);
-        
-        throw new Error('Failed to parse AI response');
       }
+      
+      return parsed;
     } catch (error) {
-      console.error(`❌ DeepSeek API error (attempt ${retryCount + 1}):`, error.message);
+      console.error(`❌ ${this.provider.name} API error (attempt ${retryCount + 1}):`, error.message);
       
       // Retry logic
       const maxRetries = 3;
@@ -198,10 +189,10 @@ class DeepSeekService {
         const delay = baseDelay * Math.pow(2, retryCount); // Exponential backoff
         console.log(`🔄 Retrying in ${delay}ms...`);
         await new Promise(resolve => setTimeout(resolve, delay));
-        return this.generateRussianSentence(difficultyLevel, retryCount + 1);
+        return this.generateLesson(difficultyLevel, avoidTexts, metadata, retryCount + 1);
       }
       
-      console.error('❌ All DeepSeek attempts failed');
+      console.error(`❌ All ${this.provider.name} attempts failed`);
       throw error;
     }
   }
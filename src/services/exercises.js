@@ -0,0 +1,216 @@
+const config = require('../config');
+const database = require('../database');
+const gradingService = require('./grading');
+const { OPTION_LABELS, shuffle, buildChoices } = require('./choices');
+const { parseWordBreakdown, normalizeWord } = require('./lessonFormatter');
+
+const SCRAMBLE_MIN_WORDS = 3;
+const SCRAMBLE_MAX_WORDS = 10;
+
+// Sentence words with their surrounding punctuation kept apart, e.g. "чай." -> { bare: 'чай', key: 'чай' }
+function tokenize(russianText) {
+  return russianText
+    .split(/\s+/)
+    .map(text => {
+      const bare = text.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+      return { text, bare, key: normalizeWord(bare) };
+    })
+    .filter(token => token.key);
+}
+
+// Follow-up exercises for one lesson, built from its word breakdown:
+// word meaning and cloze (multiple choice), word-order scramble (tap the words in order)
+// and English→Russian translation (typed, graded like practice attempts).
+// Sessions live in memory; after a restart the user just taps "Quiz me" again.
+// Buttons carry the session id and step, so taps on an old quiz or an earlier step are ignored.
+class ExerciseService {
+  constructor() {
+    this.optionLabels = OPTION_LABELS;
+    this.sessions = new Map(); // telegramUserId -> session
+    this.nextSessionId = 1;
+  }
+
+  // Breakdown entries of nearby lessons, used as wrong answers
+  async getDistractorEntries(sentence) {
+    const others = await database.getRandomSentencesNear(sentence.difficulty_level, 6, [sentence.id]);
+    return shuffle(others.flatMap(other => parseWordBreakdown(other.word_breakdown)))
+      .filter(entry => entry && entry.word && entry.meaning);
+  }
+
+  buildMeaning(entries, distractors) {
+    for (const entry of shuffle(entries)) {
+      const candidates = [...entries, ...distractors]
+        .filter(other => normalizeWord(other.word) !== normalizeWord(entry.word))
+        .map(other => other.meaning);
+      const choices = buildChoices(entry.meaning, candidates);
+      if (choices) return { type: 'meaning', word: entry.word.trim(), ...choices };
+    }
+    return null;
+  }
+
+  buildCloze(sentence, tokens, entries, distractors) {
+    const breakdownKeys = new Set(entries.map(entry => normalizeWord(entry.word)));
+    const gaps = shuffle(tokens.map((token, index) => index).filter(index => breakdownKeys.has(tokens[index].key)));
+
+    for (const gapIndex of gaps) {
+      const missing = tokens[gapIndex];
+      const candidates = [...distractors, ...entries]
+        .map(entry => entry.word.trim().replace(/[^\p{L}\p{N}-]+$/u, ''))
+        .filter(word => normalizeWord(word) !== missing.key);
+      const choices = buildChoices(missing.bare, candidates);
+      if (!choices) continue;
+
+      const blanked = tokens.map((token, index) =>
+        index === gapIndex ? token.text.replace(token.bare, '___') : token.text
+      ).join(' ');
+      return { type: 'cloze', text: blanked, hint: sentence.english_translation, ...choices };
+    }
+    return null;
+  }
+
+  buildScramble(sentence, tokens) {
+    if (tokens.length < SCRAMBLE_MIN_WORDS || tokens.length > SCRAMBLE_MAX_WORDS) return null;
+
+    let order = shuffle(tokens.map((token, index) => index));
+    // Make sure the starting order isn't already the answer
+    if (order.every((tokenIndex, position) => tokens[tokenIndex].key === tokens[position].key)) {
+      order = [...order.slice(1), order[0]];
+    }
+    return {
+      type: 'scramble',
+      hint: sentence.english_translation,
+      words: tokens.map(token => token.bare.toLowerCase()),
+      keys: tokens.map(token => token.key),
+      order,
+      picked: []
+    };
+  }
+
+  // Starts a quiz on a lesson; null if the sentence is gone or yields no exercises
+  async start(telegramUserId, sentenceId) {
+    const sentence = await database.getSentence(sentenceId);
+    if (!sentence) return null;
+
+    const entries = parseWordBreakdown(sentence.word_breakdown).filter(entry => entry && entry.word && entry.meaning);
+    const tokens = tokenize(sentence.russian_text);
+    const distractors = await this.getDistractorEntries(sentence);
+
+    const steps = [
+      this.buildMeaning(entries, distractors),
+      this.buildCloze(sentence, tokens, entries, distractors),
+      this.buildScramble(sentence, tokens),
+      sentence.english_translation ? { type: 'translate', english: sentence.english_translation } : null
+    ].filter(Boolean);
+    if (steps.length === 0) return null;
+
+    this.pruneExpired();
+    const session = {
+      id: this.nextSessionId++,
+      sentence,
+      steps,
+      index: 0,
+      correct: 0,
+      expiresAt: Date.now() + config.QUIZ.SESSION_MINUTES * 60 * 1000
+    };
+    this.sessions.set(telegramUserId, session);
+    return session;
+  }
+
+  pruneExpired(now = Date.now()) {
+    for (const [telegramUserId, session] of this.sessions) {
+      if (session.expiresAt <= now) this.sessions.delete(telegramUserId);
+    }
+  }
+
+  // The user's live session; with sessionId/step, only if the button belongs to it
+  getSession(telegramUserId, sessionId = null, step = null) {
+    const session = this.sessions.get(telegramUserId);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(telegramUserId);
+      return null;
+    }
+    if (sessionId !== null && session.id !== sessionId) return null;
+    if (step !== null && session.index !== step) return null;
+    return session;
+  }
+
+  getCurrent(session) {
+    return session.steps[session.index] || null;
+  }
+
+  // Also called whenever a new lesson reaches the user, so a half-done quiz
+  // never swallows their next practice attempt
+  stop(telegramUserId) {
+    this.sessions.delete(telegramUserId);
+  }
+
+  isAwaitingText(telegramUserId) {
+    const session = this.getSession(telegramUserId);
+    return Boolean(session && this.getCurrent(session)?.type === 'translate');
+  }
+
+  async record(telegramUserId, session, exercise, response, grade, isCorrect) {
+    if (isCorrect) session.correct += 1;
+    await database.saveUserProgress(telegramUserId, session.sentence.id, response, grade, isCorrect, `quiz_${exercise.type}`);
+  }
+
+  // Button press on the current exercise. Returns null without a matching session, { pending: true }
+  // while a scramble is still being built, else { correct, answer } for the finished exercise.
+  async choose(telegramUserId, sessionId, step, index) {
+    const session = this.getSession(telegramUserId, sessionId, step);
+    const exercise = session && this.getCurrent(session);
+    if (!exercise || exercise.type === 'translate' || exercise.answered) return null;
+
+    if (exercise.type === 'scramble') {
+      if (!exercise.order.includes(index) || exercise.picked.includes(index)) return { pending: true };
+      exercise.picked.push(index);
+      if (exercise.picked.length < exercise.order.length) return { pending: true };
+      exercise.answered = true;
+
+      const built = exercise.picked.map(tokenIndex => exercise.words[tokenIndex]).join(' ');
+      const inPlace = exercise.picked.filter((tokenIndex, position) => exercise.keys[tokenIndex] === exercise.keys[position]).length;
+      const correct = inPlace === exercise.keys.length;
+      await this.record(telegramUserId, session, exercise, built, Math.round((inPlace / exercise.keys.length) * 100), correct);
+      return { correct, answer: session.sentence.russian_text };
+    }
+
+    // Set before the await so a double tap can't score the same exercise twice
+    exercise.answered = true;
+    const correct = index === exercise.answerIndex;
+    await this.record(telegramUserId, session, exercise, exercise.options[index] || '', correct ? 100 : 0, correct);
+    return { correct, answer: exercise.options[exercise.answerIndex] };
+  }
+
+  undo(telegramUserId, sessionId, step) {
+    const session = this.getSession(telegramUserId, sessionId, step);
+    const exercise = session && this.getCurrent(session);
+    if (exercise && exercise.type === 'scramble' && !exercise.answered) exercise.picked.pop();
+    return Boolean(exercise);
+  }
+
+  // Typed answer to the translation exercise, graded against the lesson sentence
+  async answerText(telegramUserId, text) {
+    const session = this.getSession(telegramUserId);
+    const exercise = session && this.getCurrent(session);
+    if (!exercise || exercise.type !== 'translate' || exercise.answered) return null;
+
+    exercise.answered = true;
+    const result = gradingService.gradeAttempt(session.sentence.russian_text, text);
+    await this.record(telegramUserId, session, exercise, text, result.score, result.isCorrect);
+    return { correct: result.isCorrect, answer: session.sentence.russian_text, grade: result };
+  }
+
+  // Moves past the current exercise; returns the next one, or null when the quiz is over
+  advance(telegramUserId) {
+    const session = this.getSession(telegramUserId);
+    if (!session) return null;
+
+    session.index += 1;
+    const next = this.getCurrent(session);
+    if (!next) this.sessions.delete(telegramUserId);
+    return next;
+  }
+}
+
+module.exports = new ExerciseService();
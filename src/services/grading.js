@@ -0,0 +1,108 @@
+const Fuse = require('fuse.js');
+const config = require('../config');
+
+class GradingService {
+  constructor() {
+    // Fuse scores run from 0 (exact) to 1 (no match); anything above this is not the same word
+    this.matchThreshold = 0.4;
+  }
+
+  // Lowercase, fold ё into е and drop punctuation so only the words are compared
+  normalize(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/ё/g, 'е')
+      .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  tokenize(text) {
+    const normalized = this.normalize(text);
+    return normalized ? normalized.split(' ') : [];
+  }
+
+  getGradeLabel(score) {
+    if (score >= config.GRADING.EXCELLENT) return { label: 'Excellent', emoji: '🌟' };
+    if (score >= config.GRADING.GOOD) return { label: 'Good', emoji: '✅' };
+    if (score >= config.GRADING.FAIR) return { label: 'Fair', emoji: '👍' };
+    if (score >= config.GRADING.POOR) return { label: 'Poor', emoji: '⚠️' };
+    return { label: 'Keep practising', emoji: '❌' };
+  }
+
+  // Compare a typed attempt with the lesson sentence word by word
+  gradeAttempt(expectedText, attemptText) {
+    const expectedWords = expectedText
+      .split(/\s+/)
+      .map(word => word.replace(/[^\p{L}\p{N}-]/gu, ''))
+      .filter(word => this.tokenize(word).length > 0);
+    const typedTokens = this.tokenize(attemptText);
+    const remaining = typedTokens.map((token, index) => ({ token, index }));
+
+    const words = expectedWords.map(original => {
+      const token = this.tokenize(original).join(' ');
+      const exactIndex = remaining.findIndex(candidate => candidate.token === token);
+
+      if (exactIndex !== -1) {
+        const [match] = remaining.splice(exactIndex, 1);
+        return { expected: original, typed: match.token, status: 'exact', similarity: 1 };
+      }
+
+      const fuse = new Fuse(remaining, {
+        keys: ['token'],
+        includeScore: true,
+        threshold: this.matchThreshold
+      });
+      const [best] = fuse.search(token);
+
+      if (best) {
+        remaining.splice(best.refIndex, 1);
+        return { expected: original, typed: best.item.token, status: 'close', similarity: 1 - best.score };
+      }
+
+      return { expected: original, typed: null, status: 'missing', similarity: 0 };
+    });
+
+    const extra = remaining.map(candidate => candidate.token);
+    const total = Math.max(expectedWords.length, typedTokens.length, 1);
+    const matched = words.reduce((sum, word) => sum + word.similarity, 0);
+    const score = Math.round((matched / total) * 100);
+
+    return {
+      score,
+      ...this.getGradeLabel(score),
+      isCorrect: score >= config.GRADING.GOOD,
+      words,
+      extra
+    };
+  }
+
+  formatDiff(result) {
+    const lines = result.words.map(word => {
+      if (word.status === 'exact') return `✅ ${word.expected}`;
+      if (word.status === 'close') return `〰️ ${word.typed} → ${word.expected}`;
+      return `❌ ${word.expected} (missing)`;
+    });
+
+    if (result.extra.length > 0) {
+      lines.push(`➕ Extra: ${result.extra.join(' ')}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  // Spoken attempts: a near miss usually means unclear pronunciation, not a typo
+  formatSpeechDiff(result) {
+    const recognised = result.words.filter(word => word.status === 'exact').map(word => word.expected);
+    const unclear = result.words.filter(word => word.status === 'close').map(word => word.expected);
+    const missed = result.words.filter(word => word.status === 'missing').map(word => word.expected);
+
+    const lines = [];
+    if (recognised.length > 0) lines.push(`✅ Recognised: ${recognised.join(', ')}`);
+    if (unclear.length > 0) lines.push(`〰️ Unclear: ${unclear.join(', ')}`);
+    if (missed.length > 0) lines.push(`❌ Missed: ${missed.join(', ')}`);
+    return lines.join('\n');
+  }
+}
+
+module.exports = new GradingService();
@@ -0,0 +1,175 @@
+const config = require('../config');
+const database = require('../database');
+const deepseekService = require('./deepseek');
+const sentenceBank = require('./sentenceBank');
+const { parseWordBreakdown } = require('./lessonFormatter');
+const { parseLessonContent, validateLesson, normalizeLesson } = require('./lessonSchema');
+const { getLocalTime } = require('./localTime');
+
+// Lessons are drafted the evening before (bot timezone), reviewed by the admin and
+// only released to users once approved — or auto-approved at the deadline.
+class LessonDraftService {
+  // Calendar day (bot timezone) a lesson sent at `date` belongs to
+  getLessonDate(date = new Date()) {
+    return getLocalTime(config.TIMEZONE, date).dateKey;
+  }
+
+  getNextLessonDate(now = new Date()) {
+    return this.getLessonDate(new Date(now.getTime() + 24 * 60 * 60 * 1000));
+  }
+
+  toLesson(draft) {
+    return {
+      russian_text: draft.russian_text,
+      english_translation: draft.english_translation,
+      word_breakdown: parseWordBreakdown(draft.word_breakdown)
+    };
+  }
+
+  // LLM first, then an unused sentence-bank lesson; null if both come up empty
+  async generate(level, slot, avoidTexts = []) {
+    try {
+      return await deepseekService.generateLesson(level, avoidTexts, { difficultyLevel: level, slot });
+    } catch (error) {
+      console.error(`❌ Error generating sentence for difficulty ${level} (slot ${slot}):`, error.message);
+      return sentenceBank.getFallbackSentence(level);
+    }
+  }
+
+  async getOtherTexts(draft) {
+    const drafts = await database.getLessonDrafts(draft.lesson_date);
+    return drafts
+      .filter(other => other.difficulty_level === draft.difficulty_level && other.id !== draft.id)
+      .map(other => other.russian_text);
+  }
+
+  // Draft every level/slot today's users need for lessonDate; returns only the new drafts
+  async pregenerate(lessonDate) {
+    const plan = await database.getLessonPlan();
+    const created = [];
+
+    for (const { difficulty_level: level, slots } of plan) {
+      const slotCount = Math.min(Math.max(slots || 1, 1), config.MAX_LESSONS_PER_DAY);
+      const planned = [];
+
+      for (let slot = 0; slot < slotCount; slot++) {
+        const existing = await database.getLessonDraftFor(lessonDate, level, slot);
+        if (existing) {
+          planned.push(existing.russian_text);
+          continue;
+        }
+
+        const lesson = await this.generate(level, slot, planned);
+        if (!lesson) continue;
+
+        planned.push(lesson.russian_text);
+        const draftId = await database.createLessonDraft({ lessonDate, difficultyLevel: level, slot, lesson });
+        created.push(await database.getLessonDraft(draftId));
+      }
+    }
+
+    console.log(`📝 Drafted ${created.length} lessons for ${lessonDate}`);
+    return created;
+  }
+
+  // Released drafts have already gone out to users and can no longer change
+  isReleased(draft) {
+    return Boolean(draft.sentence_id);
+  }
+
+  async approve(draftId) {
+    await database.updateLessonDraft(draftId, { status: 'approved' });
+    return database.getLessonDraft(draftId);
+  }
+
+  async regenerate(draftId) {
+    const draft = await database.getLessonDraft(draftId);
+    const avoidTexts = [draft.russian_text, ...(await this.getOtherTexts(draft))];
+    const lesson = await this.generate(draft.difficulty_level, draft.slot, avoidTexts);
+    if (!lesson) {
+      throw new Error('No replacement lesson could be generated');
+    }
+
+    await database.updateLessonDraft(draftId, { lesson, status: 'pending' });
+    return database.getLessonDraft(draftId);
+  }
+
+  // Admin edits arrive either as a full lesson JSON object or as two lines
+  // (Russian, then English) that keep the current word breakdown.
+  // Returns { draft } on success or { errors } when the edit doesn't validate.
+  async edit(draftId, text) {
+    const draft = await database.getLessonDraft(draftId);
+    let lesson;
+
+    if (text.trim().startsWith('{')) {
+      try {
+        lesson = parseLessonContent(text);
+      } catch (error) {
+        return { errors: [`Not valid JSON: ${error.message}`] };
+      }
+    } else {
+      const [russianText, englishTranslation] = text.split('\n').map(line => line.trim()).filter(Boolean);
+      lesson = {
+        russian_text: russianText,
+        english_translation: englishTranslation || draft.english_translation,
+        word_breakdown: parseWordBreakdown(draft.word_breakdown).map(({ word, meaning }) => ({ word, meaning }))
+      };
+    }
+
+    const errors = validateLesson(lesson);
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    // Editing is the admin's approval
+    await database.updateLessonDraft(draftId, { lesson: normalizeLesson(lesson), status: 'approved' });
+    return { draft: await database.getLessonDraft(draftId) };
+  }
+
+  async autoApprove(lessonDate) {
+    const count = await database.autoApproveLessonDrafts(lessonDate);
+    if (count > 0) {
+      console.log(`⏰ Auto-approved ${count} pending lessons for ${lessonDate}`);
+    }
+    return count;
+  }
+
+  // The lesson to send for level/slot at `now`, saved to the sentences table.
+  // Anything still pending is past its deadline by send time, so it is auto-approved;
+  // a missing draft (new level/slot, or the bot was down) is generated on the spot.
+  async getReleasedLesson(level, slot, now = new Date()) {
+    const lessonDate = this.getLessonDate(now);
+    let draft = await database.getLessonDraftFor(lessonDate, level, slot);
+
+    if (!draft) {
+      const planned = (await database.getLessonDrafts(lessonDate))
+        .filter(other => other.difficulty_level === level)
+        .map(other => other.russian_text);
+      const lesson = await this.generate(level, slot, planned);
+      if (!lesson) return null;
+
+      const draftId = await database.createLessonDraft({
+        lessonDate,
+        difficultyLevel: level,
+        slot,
+        lesson,
+        status: 'auto_approved'
+      });
+      draft = await database.getLessonDraft(draftId);
+    } else if (draft.status === 'pending') {
+      console.log(`⏰ Lesson draft ${draft.id} was not reviewed in time, auto-approving`);
+      await database.updateLessonDraft(draft.id, { status: 'auto_approved' });
+    }
+
+    const lesson = this.toLesson(draft);
+    let sentenceId = draft.sentence_id;
+    if (!sentenceId) {
+      sentenceId = await database.saveSentence(lesson, level);
+      await database.updateLessonDraft(draft.id, { sentenceId });
+    }
+
+    return { lesson, sentenceId, draftId: draft.id };
+  }
+}
+
+module.exports = new LessonDraftService();
@@ -0,0 +1,58 @@
+// Shared text building blocks for lesson, review and practice messages
+const { transliterate } = require('./transliteration');
+
+// word_breakdown is stored as a JSON string in the sentences table
+function parseWordBreakdown(wordBreakdown) {
+  if (Array.isArray(wordBreakdown)) return wordBreakdown;
+  if (!wordBreakdown) return [];
+
+  try {
+    const parsed = JSON.parse(wordBreakdown);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('❌ Invalid word_breakdown JSON:', error.message);
+    return [];
+  }
+}
+
+function formatWordBreakdown(wordBreakdown) {
+  const words = parseWordBreakdown(wordBreakdown);
+  if (words.length === 0) return '';
+
+  let text = '\n\n📚 Word Breakdown:\n';
+  for (const word of words) {
+    if (typeof word === 'object' && word.word && word.meaning) {
+      // Transliterated from the word itself so every lesson uses the same scheme
+      const pronunciation = transliterate(word.word.trim()).toLowerCase();
+      text += `${word.word} - ${word.meaning} - ${pronunciation}\n`;
+    } else if (typeof word === 'string') {
+      text += `${word}\n`;
+    }
+  }
+  return text;
+}
+
+// Whole-sentence reading aid shown under the Cyrillic text
+function formatTransliteration(russianText) {
+  const latin = transliterate(russianText);
+  return latin ? `\n🗣 ${latin}` : '';
+}
+
+// Dictionary form of a breakdown word: lowercase, ё folded into е (as grading does),
+// no stress marks or punctuation. Shared by schema validation, the word notebook and quizzes.
+function normalizeWord(word) {
+  return word
+    .normalize('NFD')
+    .replace(/\u0301/g, '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/[^\p{L}\p{N}-]/gu, '');
+}
+
+module.exports = {
+  parseWordBreakdown,
+  normalizeWord,
+  formatWordBreakdown,
+  formatTransliteration
+};
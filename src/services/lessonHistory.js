@@ -0,0 +1,75 @@
+const database = require('../database');
+const { parseWordBreakdown } = require('./lessonFormatter');
+const { getLocalTime } = require('./localTime');
+
+const PAGE_SIZE = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Case-, stress-mark- and ё-insensitive form for matching searches
+function toSearchText(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/\u0301/g, '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/ё/g, 'е');
+}
+
+// Lessons a user has received, for /history and /search. One user gets a few lessons a day,
+// so the whole history is loaded and filtered here rather than in SQL.
+class LessonHistoryService {
+  constructor() {
+    this.pageSize = PAGE_SIZE;
+  }
+
+  // 'today', 'yesterday' or 'YYYY-MM-DD' -> local date key; null for anything else
+  parseDate(value, timezone, now = new Date()) {
+    const text = (value || '').trim().toLowerCase();
+    if (text === 'today') return getLocalTime(timezone, now).dateKey;
+    if (text === 'yesterday') return getLocalTime(timezone, new Date(now.getTime() - DAY_MS)).dateKey;
+    return /^\d{4}-\d{2}-\d{2}$/.test(text) ? text : null;
+  }
+
+  matches(lesson, search) {
+    const needle = toSearchText(search.trim());
+    const fields = [
+      lesson.russian_text,
+      lesson.english_translation,
+      ...parseWordBreakdown(lesson.word_breakdown).flatMap(entry => (entry ? [entry.word, entry.meaning] : []))
+    ];
+    return fields.some(field => toSearchText(field).includes(needle));
+  }
+
+  async getLessons(user) {
+    const lessons = await database.getLessonHistory(user.telegram_user_id);
+    return lessons.map(lesson => ({
+      ...lesson,
+      localDate: getLocalTime(user.timezone, new Date(`${lesson.sent_at.replace(' ', 'T')}Z`)).dateKey
+    }));
+  }
+
+  // Newest first; level, local date and search narrow it down
+  async getPage(user, { level = null, date = null, search = null, page = 0 } = {}) {
+    const lessons = (await this.getLessons(user)).filter(lesson =>
+      (!level || lesson.difficulty_level === level) &&
+      (!date || lesson.localDate === date) &&
+      (!search || this.matches(lesson, search))
+    );
+
+    const pageCount = Math.max(1, Math.ceil(lessons.length / PAGE_SIZE));
+    const current = Math.min(Math.max(page, 0), pageCount - 1);
+    return {
+      lessons: lessons.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE),
+      total: lessons.length,
+      page: current,
+      pageCount
+    };
+  }
+
+  // One past lesson, only if this user actually received it
+  async getLesson(user, sentenceId) {
+    return (await this.getLessons(user)).find(lesson => lesson.id === sentenceId) || null;
+  }
+}
+
+module.exports = new LessonHistoryService();
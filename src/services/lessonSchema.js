@@ -0,0 +1,161 @@
+// Strict shape of a generated lesson, plus parsing and validation of model output.
+// LESSON_SCHEMA describes what we store; the length and content rules are enforced by validateLesson.
+const { transliterate } = require('./transliteration');
+const { normalizeWord } = require('./lessonFormatter');
+
+const LESSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    russian_text: { type: 'string', minLength: 1 },
+    english_translation: { type: 'string', minLength: 1 },
+    word_breakdown: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          word: { type: 'string', minLength: 1 },
+          meaning: { type: 'string', minLength: 1 },
+          pronunciation: { type: 'string', minLength: 1 }
+        },
+        required: ['word', 'meaning'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['russian_text', 'english_translation', 'word_breakdown'],
+  additionalProperties: false
+};
+
+// What the model is asked to return. OpenAI strict structured outputs require every property
+// to be listed in `required` and reject keywords like minLength/minItems, so this is the plain
+// shape without pronunciations (normalizeLesson fills those in from the transliteration).
+const MODEL_LESSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    russian_text: { type: 'string' },
+    english_translation: { type: 'string' },
+    word_breakdown: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          word: { type: 'string' },
+          meaning: { type: 'string' }
+        },
+        required: ['word', 'meaning'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['russian_text', 'english_translation', 'word_breakdown'],
+  additionalProperties: false
+};
+
+const CYRILLIC = /[\u0400-\u04FF]/;
+const NON_CYRILLIC_LETTER = /(?![\u0400-\u04FF])\p{L}/u;
+
+// Strip ```json fences or chatter around the object and parse it
+function parseLessonContent(content) {
+  const text = (content || '').trim();
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('No JSON object in response');
+  }
+  return JSON.parse(text.slice(start, end + 1));
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+// Returns a list of human-readable problems; empty means the lesson is valid
+function validateLesson(lesson) {
+  const errors = [];
+
+  if (!lesson || typeof lesson !== 'object' || Array.isArray(lesson)) {
+    return ['Response must be a JSON object'];
+  }
+
+  const extraKeys = Object.keys(lesson).filter(key => !LESSON_SCHEMA.properties[key]);
+  if (extraKeys.length > 0) {
+    errors.push(`Unexpected fields: ${extraKeys.join(', ')}`);
+  }
+
+  if (!isNonEmptyString(lesson.russian_text)) {
+    errors.push('russian_text must be a non-empty string');
+  } else if (!CYRILLIC.test(lesson.russian_text)) {
+    errors.push('russian_text must be written in Cyrillic');
+  } else if (NON_CYRILLIC_LETTER.test(lesson.russian_text)) {
+    errors.push('russian_text must only contain Cyrillic letters (no Latin transliteration)');
+  }
+
+  if (!isNonEmptyString(lesson.english_translation)) {
+    errors.push('english_translation must be a non-empty string');
+  } else if (CYRILLIC.test(lesson.english_translation)) {
+    errors.push('english_translation must be in English, without Cyrillic');
+  }
+
+  if (!Array.isArray(lesson.word_breakdown) || lesson.word_breakdown.length === 0) {
+    errors.push('word_breakdown must be a non-empty array');
+    return errors;
+  }
+
+  const sentenceWords = new Set(
+    isNonEmptyString(lesson.russian_text)
+      ? lesson.russian_text.split(/\s+/).map(normalizeWord).filter(Boolean)
+      : []
+  );
+
+  lesson.word_breakdown.forEach((entry, index) => {
+    const label = `word_breakdown[${index}]`;
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    ['word', 'meaning'].forEach(field => {
+      if (!isNonEmptyString(entry[field])) {
+        errors.push(`${label}.${field} must be a non-empty string`);
+      }
+    });
+
+    if (isNonEmptyString(entry.word)) {
+      if (/\s/.test(entry.word.trim())) {
+        errors.push(`${label}.word "${entry.word}" must be a single word, not a phrase`);
+      } else if (NON_CYRILLIC_LETTER.test(entry.word) || !CYRILLIC.test(entry.word)) {
+        errors.push(`${label}.word "${entry.word}" must be Cyrillic`);
+      } else if (!sentenceWords.has(normalizeWord(entry.word))) {
+        errors.push(`${label}.word "${entry.word}" does not appear in russian_text`);
+      }
+    }
+
+    if (entry.pronunciation !== undefined && typeof entry.pronunciation !== 'string') {
+      errors.push(`${label}.pronunciation must be a string`);
+    }
+  });
+
+  return errors;
+}
+
+// Trim whitespace; pronunciations always come from the transliteration engine, not the model
+function normalizeLesson(lesson) {
+  return {
+    russian_text: lesson.russian_text.trim(),
+    english_translation: lesson.english_translation.trim(),
+    word_breakdown: lesson.word_breakdown.map(entry => ({
+      word: entry.word.trim(),
+      meaning: entry.meaning.trim(),
+      pronunciation: transliterate(entry.word.trim()).toLowerCase()
+    }))
+  };
+}
+
+module.exports = {
+  LESSON_SCHEMA,
+  MODEL_LESSON_SCHEMA,
+  parseLessonContent,
+  validateLesson,
+  normalizeLesson
+};
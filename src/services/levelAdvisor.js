@@ -0,0 +1,33 @@
+const config = require('../config');
+const database = require('../database');
+
+// Watches graded practice attempts and suggests moving up or down a level
+class LevelAdvisor {
+  isCoolingDown(user, now) {
+    if (!user.level_prompted_at) return false;
+    const promptedAt = new Date(`${user.level_prompted_at.replace(' ', 'T')}Z`);
+    return now - promptedAt < config.LEVEL_ADJUSTMENT.COOLDOWN_DAYS * 24 * 60 * 60 * 1000;
+  }
+
+  // { level, direction: 'promotion' | 'demotion' } or null when the user should stay put
+  async getSuggestion(user, now = new Date()) {
+    const settings = config.LEVEL_ADJUSTMENT;
+    if (this.isCoolingDown(user, now)) return null;
+
+    const grades = await database.getRecentGrades(user.telegram_user_id, user.difficulty_level, settings.WINDOW);
+    if (grades.length < settings.MIN_ATTEMPTS) return null;
+
+    const share = predicate => grades.filter(predicate).length / grades.length;
+    const maxLevel = Object.keys(config.DIFFICULTY_LEVELS).length;
+
+    if (user.difficulty_level < maxLevel && share(grade => grade >= config.GRADING.EXCELLENT) >= settings.SHARE) {
+      return { level: user.difficulty_level + 1, direction: 'promotion' };
+    }
+    if (user.difficulty_level > 1 && share(grade => grade < config.GRADING.POOR) >= settings.SHARE) {
+      return { level: user.difficulty_level - 1, direction: 'demotion' };
+    }
+    return null;
+  }
+}
+
+module.exports = new LevelAdvisor();
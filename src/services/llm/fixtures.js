@@ -0,0 +1,130 @@
+// Canned lessons for the offline fixture provider, two per level so the
+// duplicate check in the generator has somewhere to go
+module.exports = {
+  1: [
+    {
+      russian_text: 'Привет! Меня зовут Анна.',
+      english_translation: 'Hi! My name is Anna.',
+      word_breakdown: [
+        { word: 'Привет', meaning: 'hi', pronunciation: 'privet' },
+        { word: 'Меня', meaning: 'me', pronunciation: 'menya' },
+        { word: 'зовут', meaning: 'call', pronunciation: 'zovut' },
+        { word: 'Анна', meaning: 'Anna', pronunciation: 'anna' }
+      ]
+    },
+    {
+      russian_text: 'Это мой дом.',
+      english_translation: 'This is my house.',
+      word_breakdown: [
+        { word: 'Это', meaning: 'this', pronunciation: 'eto' },
+        { word: 'мой', meaning: 'my', pronunciation: 'moy' },
+        { word: 'дом', meaning: 'house', pronunciation: 'dom' }
+      ]
+    }
+  ],
+  2: [
+    {
+      russian_text: 'Мы читаем интересную книгу.',
+      english_translation: 'We are reading an interesting book.',
+      word_breakdown: [
+        { word: 'Мы', meaning: 'we', pronunciation: 'my' },
+        { word: 'читаем', meaning: 'read', pronunciation: 'chitayem' },
+        { word: 'интересную', meaning: 'interesting', pronunciation: 'interesnuyu' },
+        { word: 'книгу', meaning: 'book', pronunciation: 'knigu' }
+      ]
+    },
+    {
+      russian_text: 'Она любит зелёный чай.',
+      english_translation: 'She loves green tea.',
+      word_breakdown: [
+        { word: 'Она', meaning: 'she', pronunciation: 'ona' },
+        { word: 'любит', meaning: 'loves', pronunciation: 'lyubit' },
+        { word: 'зелёный', meaning: 'green', pronunciation: 'zelyonyy' },
+        { word: 'чай', meaning: 'tea', pronunciation: 'chay' }
+      ]
+    }
+  ],
+  3: [
+    {
+      russian_text: 'Завтра мы поедем на море.',
+      english_translation: 'Tomorrow we will go to the sea.',
+      word_breakdown: [
+        { word: 'Завтра', meaning: 'tomorrow', pronunciation: 'zavtra' },
+        { word: 'мы', meaning: 'we', pronunciation: 'my' },
+        { word: 'поедем', meaning: 'will go', pronunciation: 'poyedem' },
+        { word: 'на', meaning: 'to', pronunciation: 'na' },
+        { word: 'море', meaning: 'sea', pronunciation: 'more' }
+      ]
+    },
+    {
+      russian_text: 'Вчера шёл сильный дождь.',
+      english_translation: 'Yesterday it was raining heavily.',
+      word_breakdown: [
+        { word: 'Вчера', meaning: 'yesterday', pronunciation: 'vchera' },
+        { word: 'шёл', meaning: 'was going', pronunciation: 'shyol' },
+        { word: 'сильный', meaning: 'heavy', pronunciation: 'sil\'nyy' },
+        { word: 'дождь', meaning: 'rain', pronunciation: 'dozhd\'' }
+      ]
+    }
+  ],
+  4: [
+    {
+      russian_text: 'Когда я приехал, все уже сидели за столом.',
+      english_translation: 'When I arrived, everyone was already sitting at the table.',
+      word_breakdown: [
+        { word: 'Когда', meaning: 'when', pronunciation: 'kogda' },
+        { word: 'я', meaning: 'I', pronunciation: 'ya' },
+        { word: 'приехал', meaning: 'arrived', pronunciation: 'priyekhal' },
+        { word: 'все', meaning: 'everyone', pronunciation: 'vse' },
+        { word: 'уже', meaning: 'already', pronunciation: 'uzhe' },
+        { word: 'сидели', meaning: 'were sitting', pronunciation: 'sideli' },
+        { word: 'за', meaning: 'at', pronunciation: 'za' },
+        { word: 'столом', meaning: 'table', pronunciation: 'stolom' }
+      ]
+    },
+    {
+      russian_text: 'Книга, которую ты мне дал, очень понравилась сестре.',
+      english_translation: 'My sister really liked the book you gave me.',
+      word_breakdown: [
+        { word: 'Книга', meaning: 'book', pronunciation: 'kniga' },
+        { word: 'которую', meaning: 'which', pronunciation: 'kotoruyu' },
+        { word: 'ты', meaning: 'you', pronunciation: 'ty' },
+        { word: 'мне', meaning: 'to me', pronunciation: 'mne' },
+        { word: 'дал', meaning: 'gave', pronunciation: 'dal' },
+        { word: 'очень', meaning: 'very', pronunciation: 'ochen\'' },
+        { word: 'понравилась', meaning: 'was liked', pronunciation: 'ponravilas\'' },
+        { word: 'сестре', meaning: 'sister', pronunciation: 'sestre' }
+      ]
+    }
+  ],
+  5: [
+    {
+      russian_text: 'Не было бы счастья, да несчастье помогло.',
+      english_translation: 'Every cloud has a silver lining.',
+      word_breakdown: [
+        { word: 'Не', meaning: 'not', pronunciation: 'ne' },
+        { word: 'было', meaning: 'was', pronunciation: 'bylo' },
+        { word: 'бы', meaning: 'would', pronunciation: 'by' },
+        { word: 'счастья', meaning: 'happiness', pronunciation: 'schast\'ya' },
+        { word: 'да', meaning: 'but', pronunciation: 'da' },
+        { word: 'несчастье', meaning: 'misfortune', pronunciation: 'neschast\'ye' },
+        { word: 'помогло', meaning: 'helped', pronunciation: 'pomoglo' }
+      ]
+    },
+    {
+      russian_text: 'Чем больше он размышлял, тем яснее понимал свою ошибку.',
+      english_translation: 'The more he reflected, the more clearly he understood his mistake.',
+      word_breakdown: [
+        { word: 'Чем', meaning: 'the more', pronunciation: 'chem' },
+        { word: 'больше', meaning: 'more', pronunciation: 'bol\'she' },
+        { word: 'он', meaning: 'he', pronunciation: 'on' },
+        { word: 'размышлял', meaning: 'reflected', pronunciation: 'razmyshlyal' },
+        { word: 'тем', meaning: 'the', pronunciation: 'tem' },
+        { word: 'яснее', meaning: 'more clearly', pronunciation: 'yasneye' },
+        { word: 'понимал', meaning: 'understood', pronunciation: 'ponimal' },
+        { word: 'свою', meaning: 'his own', pronunciation: 'svoyu' },
+        { word: 'ошибку', meaning: 'mistake', pronunciation: 'oshibku' }
+      ]
+    }
+  ]
+};
@@ -0,0 +1,55 @@
+const config = require('../../config');
+const OpenAICompatibleProvider = require('./openaiCompatible');
+const OllamaProvider = require('./ollama');
+const FixtureProvider = require('./fixture');
+
+// Build the provider named in config.LLM.PROVIDER. Every provider exposes
+// `name` and `complete({ messages, temperature, maxTokens, jsonSchema, metadata })` → text.
+function createProvider(name = config.LLM.PROVIDER) {
+  const settings = config.LLM;
+
+  switch (name) {
+    case 'deepseek':
+      return new OpenAICompatibleProvider({
+        name: 'deepseek',
+        apiUrl: settings.API_URL || config.DEEPSEEK_API_URL,
+        apiKey: settings.API_KEY || config.DEEPSEEK_API_KEY,
+        model: settings.MODEL || 'deepseek-chat',
+        timeoutMs: settings.TIMEOUT_MS,
+        structuredOutput: settings.STRUCTURED_OUTPUT || 'json_object'
+      });
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        name: 'openai',
+        apiUrl: settings.API_URL || 'https://api.openai.com/v1/chat/completions',
+        apiKey: settings.API_KEY,
+        model: settings.MODEL || 'gpt-4o-mini',
+        timeoutMs: settings.TIMEOUT_MS,
+        structuredOutput: settings.STRUCTURED_OUTPUT || 'json_schema'
+      });
+    case 'llamacpp':
+      // llama.cpp's llama-server speaks the OpenAI protocol
+      return new OpenAICompatibleProvider({
+        name: 'llamacpp',
+        apiUrl: settings.API_URL || 'http://localhost:8080/v1/chat/completions',
+        apiKey: settings.API_KEY,
+        model: settings.MODEL || 'local',
+        timeoutMs: settings.TIMEOUT_MS,
+        structuredOutput: settings.STRUCTURED_OUTPUT || 'json_object_schema'
+      });
+    case 'ollama':
+      return new OllamaProvider({
+        baseUrl: settings.API_URL || 'http://localhost:11434',
+        model: settings.MODEL || 'llama3.1',
+        timeoutMs: settings.TIMEOUT_MS
+      });
+    case 'fixture':
+      return new FixtureProvider();
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+module.exports = {
+  createProvider
+};
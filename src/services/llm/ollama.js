@@ -0,0 +1,38 @@
+const axios = require('axios');
+
+// Local Ollama server (https://ollama.com) via its native /api/chat endpoint
+class OllamaProvider {
+  constructor({ baseUrl, model, timeoutMs }) {
+    this.name = 'ollama';
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  // Ollama constrains output to a JSON schema passed as `format`
+  async complete({ messages, temperature = 1, maxTokens = 1500, jsonSchema = null }) {
+    const body = {
+      model: this.model,
+      messages,
+      stream: false,
+      options: {
+        temperature,
+        num_predict: maxTokens
+      }
+    };
+    if (jsonSchema) {
+      body.format = jsonSchema;
+    }
+
+    const response = await axios.post(`${this.baseUrl}/api/chat`, body, {
+      timeout: this.timeoutMs
+    });
+
+    if (!response.data || !response.data.message) {
+      throw new Error('ollama returned no message');
+    }
+    return response.data.message.content;
+  }
+}
+
+module.exports = OllamaProvider;
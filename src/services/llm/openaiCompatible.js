@@ -0,0 +1,62 @@
+const axios = require('axios');
+
+// Any /v1/chat/completions endpoint: OpenAI, DeepSeek, llama.cpp server, vLLM, LM Studio...
+// structuredOutput picks how a JSON schema is requested, since vendors differ:
+//   'json_object'        plain JSON mode (DeepSeek) — the schema is only described in the prompt
+//   'json_schema'        OpenAI structured outputs
+//   'json_object_schema' llama.cpp server, which takes the schema inside json_object
+class OpenAICompatibleProvider {
+  constructor({ name = 'openai', apiUrl, apiKey, model, timeoutMs, structuredOutput = 'json_object' }) {
+    if (!apiUrl) {
+      throw new Error(`${name} provider needs an API URL`);
+    }
+    this.name = name;
+    this.apiUrl = apiUrl;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+    this.structuredOutput = structuredOutput;
+  }
+
+  buildResponseFormat(jsonSchema) {
+    switch (this.structuredOutput) {
+      case 'json_schema':
+        return { type: 'json_schema', json_schema: { name: 'lesson', schema: jsonSchema, strict: true } };
+      case 'json_object_schema':
+        return { type: 'json_object', schema: jsonSchema };
+      default:
+        return { type: 'json_object' };
+    }
+  }
+
+  // Returns the assistant message text; pass jsonSchema to ask for structured JSON output
+  async complete({ messages, temperature = 1, maxTokens = 1500, jsonSchema = null }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const body = {
+      model: this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    };
+    if (jsonSchema) {
+      body.response_format = this.buildResponseFormat(jsonSchema);
+    }
+
+    const response = await axios.post(this.apiUrl, body, {
+      headers,
+      timeout: this.timeoutMs
+    });
+
+    const choice = response.data && response.data.choices && response.data.choices[0];
+    if (!choice || !choice.message) {
+      throw new Error(`${this.name} returned no choices`);
+    }
+    return choice.message.content;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,77 @@
+const config = require('../config');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function isValidTimezone(timezone) {
+  if (!timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock parts of `date` in a user's timezone (falls back to the bot timezone)
+function getLocalTime(timezone, date = new Date()) {
+  const timeZone = isValidTimezone(timezone) ? timezone : config.TIMEZONE;
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    weekday: 'short'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    timezone: timeZone,
+    hour: parseInt(parts.hour, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`
+  };
+}
+
+// Midnight at the start of `date`'s calendar day in a timezone, as a Date
+function getStartOfLocalDay(timezone, date = new Date()) {
+  const timeZone = isValidTimezone(timezone) ? timezone : config.TIMEZONE;
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+
+  // Wall-clock time read as if it were UTC, minus the time since midnight
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const sinceMidnight = wallClock - Date.UTC(parts.year, parts.month - 1, parts.day);
+  return new Date(Math.floor(date.getTime() / 1000) * 1000 - sinceMidnight);
+}
+
+// SQLite CURRENT_TIMESTAMP format (UTC), so stored dates compare with datetime('now')
+function toSqlDate(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function formatHour(hour) {
+  return `${String(hour).padStart(2, '0')}:00`;
+}
+
+module.exports = {
+  isValidTimezone,
+  getLocalTime,
+  getStartOfLocalDay,
+  toSqlDate,
+  formatHour
+};
@@ -0,0 +1,102 @@
+const config = require('../config');
+const database = require('../database');
+const { OPTION_LABELS, buildChoices } = require('./choices');
+
+// Multiple-choice "what does this mean?" question for a sentence; distractors are
+// translations of other sentences. Null if there aren't enough distinct translations.
+async function buildTranslationQuestion(sentence, excludeIds = []) {
+  const candidates = await database.getRandomSentencesNear(
+    sentence.difficulty_level,
+    OPTION_LABELS.length * 3,
+    [sentence.id, ...excludeIds]
+  );
+
+  const choices = buildChoices(sentence.english_translation, candidates.map(candidate => candidate.english_translation));
+  if (!choices) return null;
+
+  return {
+    sentenceId: sentence.id,
+    level: sentence.difficulty_level,
+    russianText: sentence.russian_text,
+    ...choices
+  };
+}
+
+// Adaptive placement quiz: start in the middle, step up a level after a right answer
+// and down after a wrong one. Sessions live in memory; a restart just means retaking it.
+class PlacementService {
+  constructor() {
+    this.optionLabels = OPTION_LABELS;
+    this.sessions = new Map(); // telegramUserId -> session
+  }
+
+  cancel(telegramUserId) {
+    this.sessions.delete(telegramUserId);
+  }
+
+  // Returns the first question, or null when there aren't enough sentences to quiz on yet
+  async start(telegramUserId) {
+    const session = {
+      level: config.PLACEMENT.START_LEVEL,
+      step: 0,
+      askedIds: [],
+      results: {}, // level -> { correct, wrong }
+      question: null
+    };
+    this.sessions.set(telegramUserId, session);
+
+    const question = await this.nextQuestion(session);
+    if (!question) {
+      this.sessions.delete(telegramUserId);
+    }
+    return question;
+  }
+
+  async nextQuestion(session) {
+    const [sentence] = await database.getRandomSentencesNear(session.level, 1, session.askedIds);
+    if (!sentence) return null;
+
+    const question = await buildTranslationQuestion(sentence, session.askedIds);
+    if (!question) return null;
+
+    session.askedIds.push(sentence.id);
+    session.step += 1;
+    session.question = { ...question, step: session.step };
+    return session.question;
+  }
+
+  // Scores an answer and moves on. Returns { correct, question } while the quiz runs,
+  // { correct, recommendedLevel } once it's over, or null if there's no quiz in progress.
+  async answer(telegramUserId, optionIndex) {
+    const session = this.sessions.get(telegramUserId);
+    if (!session || !session.question) return null;
+
+    const { question } = session;
+    const correct = optionIndex === question.answerIndex;
+    const tally = session.results[question.level] || { correct: 0, wrong: 0 };
+    tally[correct ? 'correct' : 'wrong'] += 1;
+    session.results[question.level] = tally;
+
+    const maxLevel = Object.keys(config.DIFFICULTY_LEVELS).length;
+    session.level = Math.min(Math.max(question.level + (correct ? 1 : -1), 1), maxLevel);
+
+    const feedback = { correct, correctAnswer: question.options[question.answerIndex] };
+    if (session.step < config.PLACEMENT.QUESTIONS) {
+      const next = await this.nextQuestion(session);
+      if (next) return { ...feedback, question: next };
+    }
+
+    this.sessions.delete(telegramUserId);
+    return { ...feedback, recommendedLevel: this.recommendLevel(session.results) };
+  }
+
+  // Highest level answered correctly more often than not; beginners if none
+  recommendLevel(results) {
+    const passed = Object.entries(results)
+      .filter(([, tally]) => tally.correct > tally.wrong)
+      .map(([level]) => parseInt(level, 10));
+    return passed.length > 0 ? Math.max(...passed) : 1;
+  }
+}
+
+module.exports = new PlacementService();
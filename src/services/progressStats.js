@@ -0,0 +1,91 @@
+const database = require('../database');
+const { parseWordBreakdown, normalizeWord } = require('./lessonFormatter');
+const { getLocalTime, toSqlDate } = require('./localTime');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 'YYYY-MM-DD' -> whole days since the epoch, so consecutive dates differ by 1
+function toDayNumber(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+// Stored SQL UTC timestamp -> calendar day in the user's timezone
+function toLocalDay(sqlDate, timezone) {
+  return toDayNumber(getLocalTime(timezone, new Date(`${sqlDate.replace(' ', 'T')}Z`)).dateKey);
+}
+
+// Current and longest run of consecutive local days with at least one practice attempt.
+// Today not being done yet doesn't break the current streak; missing yesterday does.
+function computeStreaks(days, today) {
+  const sorted = [...new Set(days)].sort((a, b) => a - b);
+  let longest = 0;
+  let run = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    run = i > 0 && sorted[i] === sorted[i - 1] + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+
+  const last = sorted[sorted.length - 1];
+  const current = last === today || last === today - 1 ? run : 0;
+  return { current, longest };
+}
+
+class ProgressStatsService {
+  // Lifetime totals, streaks and the last seven days for one user
+  async getStats(user, now = new Date()) {
+    const telegramUserId = user.telegram_user_id;
+    const weekStart = toSqlDate(new Date(now.getTime() - 7 * DAY_MS));
+
+    const [activity, practiceTimes, weekLessons] = await Promise.all([
+      database.getUserActivity(telegramUserId),
+      database.getPracticeTimes(telegramUserId),
+      database.getDeliveredSentences(telegramUserId, weekStart)
+    ]);
+
+    const today = toDayNumber(getLocalTime(user.timezone, now).dateKey);
+    const streaks = computeStreaks(practiceTimes.map(time => toLocalDay(time, user.timezone)), today);
+
+    const weekWords = new Set();
+    for (const sentence of weekLessons) {
+      for (const entry of parseWordBreakdown(sentence.word_breakdown)) {
+        const word = entry && entry.word ? normalizeWord(entry.word) : '';
+        if (word) weekWords.add(word);
+      }
+    }
+
+    return {
+      lessonsReceived: activity.lessons_sent,
+      attempts: activity.attempts,
+      averageGrade: activity.average_grade,
+      currentStreak: streaks.current,
+      longestStreak: streaks.longest,
+      weekLessons: weekLessons.length,
+      weekAttempts: practiceTimes.filter(time => time >= weekStart).length,
+      weekWords: weekWords.size
+    };
+  }
+
+  formatStreak(days) {
+    return `${days} day${days === 1 ? '' : 's'}`;
+  }
+
+  // Sunday summary; null when there was nothing this week worth reporting
+  formatWeeklySummary(stats) {
+    if (stats.weekLessons === 0 && stats.weekAttempts === 0) return null;
+
+    let summary =
+      `📅 Your week in Russian\n\n` +
+      `📬 Lessons received: ${stats.weekLessons}\n` +
+      `📚 Words covered: ${stats.weekWords}\n` +
+      `✍️ Practice attempts: ${stats.weekAttempts}\n` +
+      `🔥 Current streak: ${this.formatStreak(stats.currentStreak)} (best ${this.formatStreak(stats.longestStreak)})`;
+
+    summary += stats.weekAttempts === 0
+      ? '\n\nTry typing this week\'s sentences back — every attempt keeps your streak going!'
+      : '\n\nОтлично! Keep it up next week. 💪';
+    return summary;
+  }
+}
+
+module.exports = new ProgressStatsService();
@@ -0,0 +1,60 @@
+const config = require('../config');
+const { toSqlDate } = require('./localTime');
+
+// Answer buttons mapped onto SM-2 quality scores (0–5)
+const RATINGS = {
+  again: { label: '🔴 Again', quality: 1 },
+  hard: { label: '🟠 Hard', quality: 3 },
+  good: { label: '🟢 Good', quality: 4 },
+  easy: { label: '🔵 Easy', quality: 5 }
+};
+
+class ReviewService {
+  constructor() {
+    this.ratings = RATINGS;
+  }
+
+  // SM-2: returns the item's next ease factor, interval, repetition count and due date
+  schedule(item, rating, now = new Date()) {
+    const { quality } = RATINGS[rating];
+    let easeFactor = item.ease_factor || 2.5;
+    let repetitions = item.repetitions || 0;
+    let intervalDays = item.interval_days || 0;
+
+    if (quality < 3) {
+      repetitions = 0;
+      intervalDays = 0;
+    } else {
+      if (repetitions === 0) {
+        intervalDays = 1;
+      } else if (repetitions === 1) {
+        intervalDays = 6;
+      } else {
+        intervalDays = Math.round(intervalDays * easeFactor);
+      }
+      repetitions += 1;
+    }
+
+    easeFactor = Math.max(1.3, easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+    // Forgotten cards come back later the same day instead of tomorrow
+    const dueAt = intervalDays === 0
+      ? new Date(now.getTime() + config.REVIEW.RELEARN_MINUTES * 60 * 1000)
+      : new Date(now.getTime() + intervalDays * 24 * 60 * 60 * 1000);
+
+    return {
+      easeFactor: Math.round(easeFactor * 100) / 100,
+      repetitions,
+      intervalDays,
+      dueAt: toSqlDate(dueAt)
+    };
+  }
+
+  describeInterval(intervalDays) {
+    if (intervalDays === 0) return `in ${config.REVIEW.RELEARN_MINUTES} minutes`;
+    if (intervalDays === 1) return 'tomorrow';
+    return `in ${intervalDays} days`;
+  }
+}
+
+module.exports = new ReviewService();
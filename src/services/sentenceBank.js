@@ -0,0 +1,192 @@
+const config = require('../config');
+const database = require('../database');
+const { validateLesson, normalizeLesson } = require('./lessonSchema');
+const { parseWordBreakdown } = require('./lessonFormatter');
+
+// Curated lessons stored in the sentences table with source = 'bank', tagged by
+// topic and grammar point. Used as offline content when generation fails.
+//
+// JSON: [{ russian_text, english_translation, difficulty_level, topic, grammar_point,
+//          word_breakdown: [{ word, meaning }] }]
+// CSV:  same columns; word_breakdown is "word=meaning; word=meaning"
+const CSV_COLUMNS = ['russian_text', 'english_translation', 'difficulty_level', 'topic', 'grammar_point', 'word_breakdown'];
+
+// Minimal RFC 4180 reader: quoted fields, "" escapes, newlines inside quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  const columns = header.map(name => name.trim().replace(/^\uFEFF/, ''));
+  return records.map(cells => Object.fromEntries(columns.map((name, index) => [name, cells[index] || ''])));
+}
+
+function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// "Я=I; люблю=love" <-> [{ word, meaning }]
+function parseBreakdownCell(cell) {
+  return (cell || '')
+    .split(';')
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .map(pair => {
+      const separator = pair.indexOf('=');
+      return separator === -1
+        ? { word: pair, meaning: '' }
+        : { word: pair.slice(0, separator).trim(), meaning: pair.slice(separator + 1).trim() };
+    });
+}
+
+function formatBreakdownCell(wordBreakdown) {
+  return parseWordBreakdown(wordBreakdown)
+    .map(entry => `${entry.word}=${entry.meaning}`)
+    .join('; ');
+}
+
+class SentenceBank {
+  // Records from a JSON or CSV file; format is 'json' or 'csv'
+  parse(text, format) {
+    if (format === 'csv') {
+      return parseCsv(text).map(record => ({
+        ...record,
+        word_breakdown: parseBreakdownCell(record.word_breakdown)
+      }));
+    }
+
+    const records = JSON.parse(text);
+    if (!Array.isArray(records)) {
+      throw new Error('Sentence bank JSON must be an array of lessons');
+    }
+    return records;
+  }
+
+  // Validates every record against the lesson schema; invalid rows are reported, not imported.
+  // defaultLevel applies to records without difficulty_level.
+  async importLessons(records, { defaultLevel = null } = {}) {
+    const result = { imported: 0, skipped: 0, errors: [] };
+    const existing = new Set(
+      (await database.getSentences()).map(sentence => `${sentence.difficulty_level}:${sentence.russian_text}`)
+    );
+
+    for (const [index, record] of records.entries()) {
+      const level = parseInt(record.difficulty_level || defaultLevel, 10);
+      const lesson = {
+        russian_text: record.russian_text,
+        english_translation: record.english_translation,
+        word_breakdown: record.word_breakdown
+      };
+
+      const errors = validateLesson(lesson);
+      if (!config.DIFFICULTY_LEVELS[level]) {
+        errors.push(`difficulty_level must be one of ${Object.keys(config.DIFFICULTY_LEVELS).join(', ')}`);
+      }
+      if (errors.length > 0) {
+        result.errors.push({ row: index + 1, russian_text: record.russian_text, errors });
+        continue;
+      }
+
+      const normalized = normalizeLesson(lesson);
+      const key = `${level}:${normalized.russian_text}`;
+      if (existing.has(key)) {
+        result.skipped += 1;
+        continue;
+      }
+      existing.add(key);
+
+      await database.saveSentence(normalized, level, {
+        source: 'bank',
+        topic: (record.topic || '').trim() || null,
+        grammarPoint: (record.grammar_point || '').trim() || null
+      });
+      result.imported += 1;
+    }
+
+    console.log(`📚 Sentence bank import: ${result.imported} imported, ${result.skipped} duplicates, ${result.errors.length} invalid`);
+    return result;
+  }
+
+  async exportLessons({ difficultyLevel = null, source = null } = {}) {
+    const sentences = await database.getSentences({ difficultyLevel, source });
+    return sentences.map(sentence => ({
+      russian_text: sentence.russian_text,
+      english_translation: sentence.english_translation,
+      difficulty_level: sentence.difficulty_level,
+      topic: sentence.topic,
+      grammar_point: sentence.grammar_point,
+      source: sentence.source,
+      word_breakdown: parseWordBreakdown(sentence.word_breakdown).map(({ word, meaning }) => ({ word, meaning }))
+    }));
+  }
+
+  format(lessons, format) {
+    if (format === 'csv') {
+      const lines = [CSV_COLUMNS.join(',')];
+      for (const lesson of lessons) {
+        lines.push(CSV_COLUMNS.map(column =>
+          toCsvField(column === 'word_breakdown' ? formatBreakdownCell(lesson.word_breakdown) : lesson[column])
+        ).join(','));
+      }
+      return `${lines.join('\n')}\n`;
+    }
+    return `${JSON.stringify(lessons, null, 2)}\n`;
+  }
+
+  // A bank lesson nobody has been sent yet, or null when the bank is exhausted for this level
+  async getFallbackSentence(difficultyLevel) {
+    try {
+      const sentence = await database.getRandomSentence(difficultyLevel, { source: 'bank', unusedOnly: true });
+      if (!sentence) {
+        console.warn(`⚠️ Sentence bank has no unused lessons for level ${difficultyLevel}`);
+        return null;
+      }
+
+      console.log(`📚 Using sentence bank lesson ${sentence.id} for level ${difficultyLevel}`);
+      return {
+        russian_text: sentence.russian_text,
+        english_translation: sentence.english_translation,
+        word_breakdown: parseWordBreakdown(sentence.word_breakdown)
+      };
+    } catch (error) {
+      console.error('❌ Error reading sentence bank:', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new SentenceBank();
@@ -0,0 +1,31 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createSttBackend } = require('./stt');
+
+// Transcribes voice-note practice attempts with the configured speech-to-text backend
+class SpeechService {
+  constructor() {
+    this.backend = createSttBackend();
+    this.tempDir = path.join(os.tmpdir(), 'russianbot-voice');
+  }
+
+  isEnabled() {
+    return Boolean(this.backend);
+  }
+
+  // `download(dir)` fetches the voice note into dir and resolves with its path;
+  // the file is removed once transcribed
+  async transcribeVoice(download) {
+    await fs.mkdir(this.tempDir, { recursive: true });
+    const audioPath = await download(this.tempDir);
+    try {
+      console.log(`🎙 Transcribing voice note with ${this.backend.name}`);
+      return await this.backend.transcribe(audioPath);
+    } finally {
+      await fs.rm(audioPath, { force: true });
+    }
+  }
+}
+
+module.exports = new SpeechService();
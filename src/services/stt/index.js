@@ -0,0 +1,27 @@
+const config = require('../../config');
+const WhisperBackend = require('./whisper');
+
+// Build the backend named in config.STT.PROVIDER. Every backend exposes
+// `name` and `transcribe(audioPath)` → text. 'none' turns voice practice off.
+function createSttBackend(name = config.STT.PROVIDER) {
+  const settings = config.STT;
+
+  switch (name) {
+    case 'whisper':
+      return new WhisperBackend({
+        binary: settings.WHISPER_PATH,
+        model: settings.WHISPER_MODEL,
+        language: settings.LANGUAGE,
+        ffmpegPath: config.TTS.FFMPEG_PATH,
+        timeoutMs: settings.TIMEOUT_MS
+      });
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown STT provider: ${name}`);
+  }
+}
+
+module.exports = {
+  createSttBackend
+};
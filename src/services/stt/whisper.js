@@ -0,0 +1,33 @@
+const fs = require('fs/promises');
+const { runCommand, decodeForSpeech } = require('../command');
+
+// whisper.cpp (https://github.com/ggerganov/whisper.cpp) CLI with a local ggml model
+class WhisperBackend {
+  constructor({ binary, model, language, ffmpegPath, timeoutMs }) {
+    this.name = 'whisper';
+    this.binary = binary;
+    this.model = model;
+    this.language = language;
+    this.ffmpegPath = ffmpegPath;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async transcribe(audioPath) {
+    const wavPath = `${audioPath}.wav`;
+    try {
+      await decodeForSpeech(this.ffmpegPath, audioPath, wavPath, this.timeoutMs);
+      // -nt: no timestamps, -np: print only the transcript
+      const output = await runCommand(this.binary, [
+        '-m', this.model,
+        '-l', this.language,
+        '-nt', '-np',
+        '-f', wavPath
+      ], { timeoutMs: this.timeoutMs });
+      return output.replace(/\s+/g, ' ').trim();
+    } finally {
+      await fs.rm(wavPath, { force: true });
+    }
+  }
+}
+
+module.exports = WhisperBackend;
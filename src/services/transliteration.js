@@ -0,0 +1,90 @@
+const config = require('../config');
+
+// Cyrillic → Latin transliteration. Each scheme maps lowercase letters; `iotated`
+// overrides е/ё at the start of a word and after a vowel, й, ъ or ь ("ye", "yo").
+const SCHEMES = {
+  bgn: {
+    name: 'BGN/PCGN',
+    letters: {
+      а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'ë', ж: 'zh', з: 'z', и: 'i',
+      й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't',
+      у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '"', ы: 'y', ь: '\'',
+      э: 'e', ю: 'yu', я: 'ya'
+    },
+    iotated: { е: 'ye', ё: 'yë' }
+  },
+  iso9: {
+    name: 'ISO 9',
+    letters: {
+      а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'ë', ж: 'ž', з: 'z', и: 'i',
+      й: 'j', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't',
+      у: 'u', ф: 'f', х: 'h', ц: 'c', ч: 'č', ш: 'š', щ: 'ŝ', ъ: 'ʺ', ы: 'y', ь: 'ʹ',
+      э: 'è', ю: 'û', я: 'â'
+    },
+    iotated: {}
+  },
+  // Plain ASCII, spelled the way an English speaker would read it aloud
+  learner: {
+    name: 'Learner',
+    letters: {
+      а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'yo', ж: 'zh', з: 'z', и: 'i',
+      й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't',
+      у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '\'',
+      э: 'e', ю: 'yu', я: 'ya'
+    },
+    iotated: { е: 'ye' }
+  }
+};
+
+const STRESS_MARK = '\u0301';
+const VOWELS = 'аеёиоуыэюя';
+const IOTATING = VOWELS + 'йъь';
+
+function getScheme(name = config.TRANSLITERATION_SCHEME) {
+  return SCHEMES[name] || SCHEMES.learner;
+}
+
+function transliterate(text, schemeName) {
+  if (!text) return '';
+
+  const scheme = getScheme(schemeName);
+  // NFC keeps й/ё whole; stress marks stay separate combining characters
+  const chars = Array.from(text.normalize('NFC'));
+  let result = '';
+  let previous = '';
+
+  for (const char of chars) {
+    if (char === STRESS_MARK) {
+      // Combining mark lands on the last Latin letter, i.e. the vowel of "ya", "yu", ...
+      result += STRESS_MARK;
+      continue;
+    }
+
+    const lower = char.toLowerCase();
+    if (!(lower in scheme.letters)) {
+      result += char;
+      previous = '';
+      continue;
+    }
+
+    const atWordStart = previous === '';
+    let latin = (atWordStart || IOTATING.includes(previous)) && scheme.iotated[lower]
+      ? scheme.iotated[lower]
+      : scheme.letters[lower];
+
+    if (char !== lower && latin) {
+      latin = latin[0].toUpperCase() + latin.slice(1);
+    }
+
+    result += latin;
+    previous = lower;
+  }
+
+  return result.normalize('NFC');
+}
+
+module.exports = {
+  SCHEMES,
+  getScheme,
+  transliterate
+};
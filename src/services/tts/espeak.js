@@ -0,0 +1,29 @@
+const fs = require('fs/promises');
+const { runCommand, encodeVoice } = require('../command');
+
+// eSpeak NG (https://github.com/espeak-ng/espeak-ng): robotic but tiny and fully offline
+class EspeakBackend {
+  constructor({ binary, voice, speed, ffmpegPath, timeoutMs }) {
+    this.name = 'espeak';
+    this.binary = binary;
+    this.voice = voice;
+    this.speed = speed;
+    this.ffmpegPath = ffmpegPath;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async synthesize(text, outputPath) {
+    const wavPath = `${outputPath}.wav`;
+    try {
+      await runCommand(this.binary, ['-v', this.voice, '-s', String(this.speed), '-w', wavPath, '--stdin'], {
+        input: text,
+        timeoutMs: this.timeoutMs
+      });
+      await encodeVoice(this.ffmpegPath, wavPath, outputPath, this.timeoutMs);
+    } finally {
+      await fs.rm(wavPath, { force: true });
+    }
+  }
+}
+
+module.exports = EspeakBackend;
@@ -0,0 +1,36 @@
+const config = require('../../config');
+const EspeakBackend = require('./espeak');
+const PiperBackend = require('./piper');
+
+// Build the backend named in config.TTS.PROVIDER. Every backend exposes
+// `name` and `synthesize(text, outputPath)`, which writes an OGG/Opus file.
+// 'none' turns lesson audio off entirely.
+function createTtsBackend(name = config.TTS.PROVIDER) {
+  const settings = config.TTS;
+
+  switch (name) {
+    case 'espeak':
+      return new EspeakBackend({
+        binary: settings.ESPEAK_PATH,
+        voice: settings.ESPEAK_VOICE,
+        speed: settings.ESPEAK_SPEED,
+        ffmpegPath: settings.FFMPEG_PATH,
+        timeoutMs: settings.TIMEOUT_MS
+      });
+    case 'piper':
+      return new PiperBackend({
+        binary: settings.PIPER_PATH,
+        model: settings.PIPER_MODEL,
+        ffmpegPath: settings.FFMPEG_PATH,
+        timeoutMs: settings.TIMEOUT_MS
+      });
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown TTS provider: ${name}`);
+  }
+}
+
+module.exports = {
+  createTtsBackend
+};
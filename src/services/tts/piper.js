@@ -0,0 +1,31 @@
+const fs = require('fs/promises');
+const { runCommand, encodeVoice } = require('../command');
+
+// Piper (https://github.com/rhasspy/piper): offline neural voices, e.g. ru_RU-irina-medium.onnx
+class PiperBackend {
+  constructor({ binary, model, ffmpegPath, timeoutMs }) {
+    if (!model) {
+      throw new Error('TTS_PIPER_MODEL must point at a Piper .onnx voice');
+    }
+    this.name = 'piper';
+    this.binary = binary;
+    this.model = model;
+    this.ffmpegPath = ffmpegPath;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async synthesize(text, outputPath) {
+    const wavPath = `${outputPath}.wav`;
+    try {
+      await runCommand(this.binary, ['--model', this.model, '--output_file', wavPath], {
+        input: text,
+        timeoutMs: this.timeoutMs
+      });
+      await encodeVoice(this.ffmpegPath, wavPath, outputPath, this.timeoutMs);
+    } finally {
+      await fs.rm(wavPath, { force: true });
+    }
+  }
+}
+
+module.exports = PiperBackend;
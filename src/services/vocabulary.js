@@ -0,0 +1,80 @@
+const database = require('../database');
+const { parseWordBreakdown, normalizeWord } = require('./lessonFormatter');
+
+const PAGE_SIZE = 8;
+
+// Per-user word notebook filled from the word breakdowns of delivered lessons
+class VocabularyService {
+  constructor() {
+    this.pageSize = PAGE_SIZE;
+  }
+
+  async addSentenceWords(telegramUserId, sentence) {
+    let added = 0;
+    for (const entry of parseWordBreakdown(sentence.word_breakdown)) {
+      if (!entry || typeof entry !== 'object' || !entry.word) continue;
+      const word = normalizeWord(entry.word);
+      if (!word) continue;
+
+      added += await database.addVocabularyWord({
+        telegramUserId,
+        word,
+        displayWord: entry.word.trim().replace(/[.,!?;:«»"()…]+$/u, ''),
+        meaning: entry.meaning || null,
+        sentenceId: sentence.id
+      });
+    }
+    return added;
+  }
+
+  // Called once Telegram confirms a lesson went out
+  async addFromDelivery(deliveryId) {
+    try {
+      const sentence = await database.getDeliverySentence(deliveryId);
+      if (sentence) {
+        await this.addSentenceWords(sentence.telegram_user_id, sentence);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to add vocabulary for delivery ${deliveryId}:`, error.message);
+    }
+  }
+
+  // Lessons delivered before the notebook existed; only runs while it is still empty
+  async backfill(telegramUserId) {
+    if (await database.countVocabulary(telegramUserId) > 0) return 0;
+
+    let added = 0;
+    for (const sentence of await database.getDeliveredSentences(telegramUserId, '1970-01-01 00:00:00')) {
+      added += await this.addSentenceWords(telegramUserId, sentence);
+    }
+    if (added > 0) {
+      console.log(`📒 Backfilled ${added} words for user ${telegramUserId}`);
+    }
+    return added;
+  }
+
+  // One page of the notebook, optionally filtered by a Russian or English search
+  async getPage(telegramUserId, { search = null, page = 0 } = {}) {
+    const filter = search ? { word: normalizeWord(search) || null, meaning: search.trim() } : {};
+    const total = await database.countVocabulary(telegramUserId, filter);
+    const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+    const current = Math.min(Math.max(page, 0), pageCount - 1);
+    const words = await database.getVocabulary(telegramUserId, {
+      ...filter,
+      limit: PAGE_SIZE,
+      offset: current * PAGE_SIZE
+    });
+
+    return { words, total, page: current, pageCount };
+  }
+
+  async toggle(wordId, telegramUserId, field) {
+    const word = await database.getVocabularyWord(wordId, telegramUserId);
+    if (!word) return null;
+
+    await database.updateVocabularyWord(wordId, telegramUserId, { [field]: !word[field] });
+    return database.getVocabularyWord(wordId, telegramUserId);
+  }
+}
+
+module.exports = new VocabularyService();
@@ -2,6 +2,21 @@ const TelegramBot = require('node-telegram-bot-api');
 const database = require('./database');
 const config = require('./config');
 const deepseekService = require('./services/deepseek');
+const audioService = require('./services/audio');
+const speechService = require('./services/speech');
+const sentenceBank = require('./services/sentenceBank');
+const lessonDrafts = require('./services/lessonDrafts');
+const messageQueue = require('./messageQueue');
+const gradingService = require('./services/grading');
+const reviewService = require('./services/review');
+const progressStats = require('./services/progressStats');
+const vocabulary = require('./services/vocabulary');
+const placement = require('./services/placement');
+const levelAdvisor = require('./services/levelAdvisor');
+const exercises = require('./services/exercises');
+const lessonHistory = require('./services/lessonHistory');
+const { formatWordBreakdown, formatTransliteration } = require('./services/lessonFormatter');
+const { isValidTimezone, toSqlDate, formatHour, getStartOfLocalDay } = require('./services/localTime');
 
 class TelegramBotHandler {
   constructor(options = {}) {
@@ -17,6 +32,12 @@ class TelegramBotHandler {
 
       this.processedCallbacks = new Set();
       this.processedMessages = new Set();
+      this.pendingDraftEdit = null; // Draft id the admin's next text message replaces
+      this.pendingBroadcast = null; // Broadcast text awaiting the admin's confirmation
+      this.wordSearches = new Map(); // userId -> current /words search, so page buttons keep the filter
+      this.lessonRequests = new Set(); // userIds with a /lesson or /next still being prepared
+      this.historyFilters = new Map(); // userId -> { level, date, search } so /history buttons keep the filter
+      this.scheduler = null;
 
       this.setupEventHandlers();
       console.log('🤖 Russian Learning Bot started successfully');
@@ -28,6 +49,11 @@ class TelegramBotHandler {
     }
   }
 
+  // The scheduler is created after the bot; admin /sendnow needs it
+  setScheduler(scheduler) {
+    this.scheduler = scheduler;
+  }
+
   createKeyboard(buttons) {
     return {
       reply_markup: {
@@ -43,7 +69,12 @@ class TelegramBotHandler {
         { text: '📊 Status', callback_data: 'status' }
       ],
       [
-        { text: '⚙️ Difficulty', callback_data: 'settings' }
+        { text: '🔁 Review', callback_data: 'review_next' },
+        { text: '📒 My words', callback_data: 'words_open' }
+      ],
+      [
+        { text: '📜 History', callback_data: 'history_open' },
+        { text: '⚙️ Settings', callback_data: 'settings' }
       ]
     ]);
   }
@@ -51,10 +82,46 @@ class TelegramBotHandler {
   welcomeMessage() {
     return `🇷🇺 Welcome to Russian Learning Bot!
 
-📖 Free Russian lessons daily at 11:00 Tokyo time — no payment needed.
+📖 Free Russian lessons daily at 11:00 Tokyo time (change it in ⚙️ Settings) — no payment needed.
 🎯 Choose your difficulty level and start learning!`;
   }
 
+  // e.g. "11:00 (Asia/Tokyo)"
+  describeSchedule(user) {
+    const hour = user.delivery_hour ?? config.DEFAULT_DELIVERY_HOUR;
+    return `${formatHour(hour)} (${user.timezone || config.TIMEZONE})`;
+  }
+
+  // e.g. "⏸ Paused until 2026-05-01 09:00 UTC"
+  describeDeliveryState(user) {
+    if (user.is_active === 0) {
+      if (user.inactive_reason === 'stopped') return '🛑 Stopped — send /start to subscribe again';
+      if (user.inactive_reason === 'blocked') return '🚫 Inactive — the bot was blocked';
+      return '⏸ Paused — send /resume to continue';
+    }
+    if (user.paused_until && new Date(`${user.paused_until}Z`) > new Date()) {
+      return `⏸ Paused until ${user.paused_until.slice(0, 16)} UTC`;
+    }
+    return '✅ Lessons are on';
+  }
+
+  isPaused(user) {
+    return user.is_active === 0 || Boolean(user.paused_until && new Date(`${user.paused_until}Z`) > new Date());
+  }
+
+  // e.g. "3 lessons a day, weekdays only"
+  describeFrequency(user) {
+    const lessonsPerDay = user.lessons_per_day || 1;
+    let label = lessonsPerDay === 1 ? '1 lesson a day' : `${lessonsPerDay} lessons a day`;
+
+    // Lessons don't run past midnight, so a late delivery time fits fewer of them
+    const fitting = this.scheduler ? this.scheduler.getSlotHours(user).length : lessonsPerDay;
+    if (fitting < lessonsPerDay) {
+      label += ` (only ${fitting} fit between ${formatHour(user.delivery_hour ?? config.DEFAULT_DELIVERY_HOUR)} and midnight)`;
+    }
+    return user.weekdays_only ? `${label}, weekdays only` : label;
+  }
+
   setupEventHandlers() {
     console.log('🔧 Setting up event handlers...');
 
@@ -79,6 +146,33 @@ class TelegramBotHandler {
 
     this.bot.onText(/\/start/, (msg) => this.handleStart(msg));
     this.bot.onText(/\/help/, (msg) => this.handleHelp(msg.chat.id));
+    this.bot.onText(/\/review/, (msg) => this.handleReview(msg.chat.id, msg.from.id));
+    this.bot.onText(/\/pause(?:\s+(\d+))?/, (msg, match) => {
+      const days = match[1] ? parseInt(match[1], 10) : 0;
+      this.handlePause(msg.chat.id, msg.from.id, days);
+    });
+    this.bot.onText(/\/resume/, (msg) => this.handleResume(msg.chat.id, msg.from.id));
+    this.bot.onText(/\/stop/, (msg) => this.handleStopConfirm(msg.chat.id, msg.from.id));
+    this.bot.onText(/\/timezone(?:\s+(\S+))?/, (msg, match) => this.handleTimezoneCommand(msg, match[1]));
+    this.bot.onText(/\/placement/, (msg) => this.handlePlacementStart(msg.chat.id, msg.from.id));
+    this.bot.onText(/\/lesson/, (msg) => this.handleLessonRequest(msg.chat.id, msg.from.id, 'resend'));
+    this.bot.onText(/\/next/, (msg) => this.handleLessonRequest(msg.chat.id, msg.from.id, 'on_demand'));
+    this.bot.onText(/\/words(?:\s+(.+))?/, (msg, match) => this.handleWords(msg.chat.id, msg.from.id, match[1]));
+    this.bot.onText(/\/history(?:\s+(.+))?/, (msg, match) => this.handleHistory(msg.chat.id, msg.from.id, match[1]));
+    this.bot.onText(/\/search(?:\s+(.+))?/, (msg, match) => this.handleSearch(msg.chat.id, msg.from.id, match[1]));
+
+    // Admin-only commands are silently ignored for everyone else
+    const adminOnly = (handler) => (msg, match) => {
+      if (!this.isAdmin(msg.from.id)) return;
+      handler(msg, match);
+    };
+    this.bot.onText(/\/stats/, adminOnly((msg) => this.handleStats(msg.chat.id)));
+    this.bot.onText(/\/queue/, adminOnly((msg) => this.handleQueueStatus(msg.chat.id)));
+    this.bot.onText(/\/sendnow/, adminOnly((msg) => this.handleSendNowConfirm(msg.chat.id)));
+    this.bot.onText(/\/broadcast(?:\s+([\s\S]+))?/, adminOnly((msg, match) => this.handleBroadcastPreview(msg.chat.id, match[1])));
+    this.bot.onText(/\/user(?:\s+(\d+))?(?:\s+(\d+))?/, adminOnly((msg, match) => {
+      this.handleUserCommand(msg.chat.id, match[1], match[2] ? parseInt(match[2], 10) : null);
+    }));
 
     this.bot.on('message', (msg) => {
       if (msg.text && msg.text.startsWith('/')) {
@@ -99,6 +193,12 @@ class TelegramBotHandler {
 
         this.processedMessages.add(messageId);
         this.handleMessage(msg);
+      } else if (msg.voice) {
+        const messageId = `${msg.message_id}_${msg.from.id}`;
+        if (this.processedMessages.has(messageId)) return;
+
+        this.processedMessages.add(messageId);
+        this.handleVoiceAttempt(msg);
       }
     });
   }
@@ -109,9 +209,25 @@ class TelegramBotHandler {
     const displayName = msg.from.first_name || msg.from.username || 'User';
 
     try {
+      const isNewUser = !(await database.getUser(userId.toString()));
       await database.createUser(userId.toString(), displayName);
+      // /start always (re)subscribes, including users who stopped or blocked the bot before
+      await database.reactivateUser(userId.toString());
       await this.bot.sendMessage(chatId, this.welcomeMessage(), this.mainMenuKeyboard());
       await this.sendImmediateSentence(chatId, userId);
+
+      if (isNewUser) {
+        await this.bot.sendMessage(
+          chatId,
+          `🎯 Not sure which level to pick? Take a quick ${config.PLACEMENT.QUESTIONS}-question quiz and I'll choose one for you.`,
+          this.createKeyboard([
+            [
+              { text: '🎯 Start quiz', callback_data: 'placement_start' },
+              { text: 'Skip', callback_data: 'placement_skip' }
+            ]
+          ])
+        );
+      }
     } catch (error) {
       console.error('❌ Error in handleStart:', error);
       await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
@@ -122,8 +238,17 @@ class TelegramBotHandler {
     const helpMessage = `🇷🇺 Russian Learning Bot Help
 
 📖 How it works:
-• Free Russian sentences every day at 11:00 Tokyo time
+• Free Russian sentences every day at 11:00 Tokyo time, or at the hour you pick in ⚙️ Settings
+• /timezone Europe/Moscow sets any timezone by name
+• /pause (or /pause 7 for a week), /resume and /stop control delivery
 • Practice with authentic Russian content
+• Type the sentence back in Russian to get it graded, or send a voice note saying it
+• /lesson sends today's lesson again; /next gets you an extra sentence (up to ${config.ON_DEMAND.DAILY_LIMIT} a day)
+• /review brings back past sentences just before you forget them
+• /placement retakes the quiz that picks your level
+• /words opens your word notebook — /words привет or /words hello searches it
+• /history lists the lessons you've had (/history 2 yesterday filters by level and day); /search чай finds one by word
+• Tap 🧠 Quiz me under a lesson for quick exercises on its words
 • No subscription or payment required
 
 🎯 Difficulty: 5 levels (Beginner to Expert)
@@ -160,10 +285,135 @@ class TelegramBotHandler {
         case 'back_to_main':
           await this.bot.sendMessage(chatId, this.welcomeMessage(), this.mainMenuKeyboard());
           break;
+        case 'review_next':
+          await this.handleReview(chatId, userId);
+          break;
+        case 'words_open':
+          await this.handleWords(chatId, userId);
+          break;
+        case 'history_open':
+          await this.handleHistory(chatId, userId);
+          break;
+        case 'placement_start':
+          await this.handlePlacementStart(chatId, userId, callbackQuery.message.message_id);
+          break;
+        case 'suggest_keep':
+          await this.editOrSend(
+            chatId,
+            callbackQuery.message.message_id,
+            '👍 Staying on your current level. You can change it any time in ⚙️ Settings.',
+            {}
+          );
+          break;
+        case 'placement_skip':
+          placement.cancel(userId.toString());
+          await this.editOrSend(
+            chatId,
+            callbackQuery.message.message_id,
+            '👌 No quiz. You can take it any time with /placement, or pick a level in ⚙️ Settings.',
+            this.mainMenuKeyboard()
+          );
+          break;
+        case 'settings_time':
+          await this.handleDeliveryTimeMenu(chatId, userId);
+          break;
+        case 'settings_timezone':
+          await this.handleTimezoneMenu(chatId, userId);
+          break;
+        case 'settings_frequency':
+          await this.handleFrequencyMenu(chatId, userId);
+          break;
+        case 'toggle_weekdays':
+          await this.handleToggleWeekdays(chatId, userId);
+          break;
+        case 'toggle_audio':
+          await this.handleToggleAudio(chatId, userId);
+          break;
+        case 'pause_menu':
+          await this.handlePauseMenu(chatId);
+          break;
+        case 'resume':
+          await this.handleResume(chatId, userId);
+          break;
+        case 'stop_confirm':
+          await this.handleStopConfirm(chatId, userId);
+          break;
+        case 'stop':
+          await this.handleStop(chatId, userId);
+          break;
+        case 'broadcast_confirm':
+          await this.handleBroadcastConfirm(chatId, userId);
+          break;
+        case 'broadcast_cancel':
+          await this.handleBroadcastCancel(chatId, userId);
+          break;
+        case 'sendnow_confirm':
+          await this.handleSendNow(chatId, userId);
+          break;
         default:
           if (data.startsWith('level_')) {
             const level = parseInt(data.split('_')[1]);
             await this.handleSetLevel(chatId, userId, level);
+          } else if (data.startsWith('set_hour_')) {
+            const hour = parseInt(data.split('_')[2]);
+            await this.handleSetSchedule(chatId, userId, { deliveryHour: hour });
+          } else if (data.startsWith('pause_')) {
+            const days = parseInt(data.split('_')[1]);
+            await this.handlePause(chatId, userId, days);
+          } else if (data.startsWith('set_freq_')) {
+            const lessonsPerDay = parseInt(data.split('_')[2]);
+            await this.handleSetFrequency(chatId, userId, { lessonsPerDay });
+          } else if (data.startsWith('set_tz_')) {
+            const timezone = config.TIMEZONE_CHOICES[parseInt(data.split('_')[2])];
+            await this.handleSetSchedule(chatId, userId, { timezone });
+          } else if (data.startsWith('review_show_')) {
+            const reviewId = parseInt(data.split('_')[2]);
+            await this.handleReviewShow(chatId, userId, reviewId);
+          } else if (data.startsWith('review_rate_')) {
+            const [, , reviewId, rating] = data.split('_');
+            await this.handleReviewRate(chatId, userId, parseInt(reviewId), rating);
+          } else if (data.startsWith('admin_level_')) {
+            const [, , targetId, level] = data.split('_');
+            if (this.isAdmin(userId)) {
+              await this.handleUserCommand(chatId, targetId, parseInt(level));
+            }
+          } else if (data.startsWith('suggest_level_')) {
+            const level = parseInt(data.split('_')[2]);
+            await this.handleAcceptLevelSuggestion(chatId, userId, level, callbackQuery.message.message_id);
+          } else if (data.startsWith('placement_answer_')) {
+            const optionIndex = parseInt(data.split('_')[2]);
+            await this.handlePlacementAnswer(chatId, userId, optionIndex, callbackQuery.message.message_id);
+          } else if (data.startsWith('quiz_start_')) {
+            const sentenceId = parseInt(data.split('_')[2]);
+            await this.handleQuizStart(chatId, userId, sentenceId);
+          } else if (data.startsWith('quiz_')) {
+            const [, action, sessionId, step, index] = data.split('_');
+            await this.handleQuizAction(chatId, userId, action, {
+              sessionId: parseInt(sessionId),
+              step: parseInt(step),
+              index: parseInt(index)
+            }, callbackQuery.message.message_id);
+          } else if (data.startsWith('history_page_')) {
+            const page = parseInt(data.split('_')[2]);
+            await this.showHistoryPage(chatId, userId, page, callbackQuery.message.message_id);
+          } else if (data.startsWith('history_level_') || data.startsWith('history_date_')) {
+            const [, field, value] = data.split('_');
+            await this.handleHistoryFilter(chatId, userId, field, value, callbackQuery.message.message_id);
+          } else if (data.startsWith('history_show_')) {
+            const [, , sentenceId, page] = data.split('_');
+            await this.handleHistoryShow(chatId, userId, parseInt(sentenceId), parseInt(page), callbackQuery.message.message_id);
+          } else if (data.startsWith('words_page_')) {
+            const page = parseInt(data.split('_')[2]);
+            await this.showWordsPage(chatId, userId, page, callbackQuery.message.message_id);
+          } else if (data.startsWith('word_')) {
+            const [, action, wordId, page] = data.split('_');
+            await this.handleWordAction(chatId, userId, action, parseInt(wordId), parseInt(page), callbackQuery.message.message_id);
+          } else if (data.startsWith('contact_')) {
+            const [, status, contactId] = data.split('_');
+            await this.handleContactAction(chatId, userId, status, parseInt(contactId));
+          } else if (data.startsWith('draft_')) {
+            const [, action, draftId] = data.split('_');
+            await this.handleDraftAction(chatId, userId, action, parseInt(draftId));
           }
           break;
       }
@@ -173,173 +423,1692 @@ class TelegramBotHandler {
     }
   }
 
-  async handleStatus(chatId, userId) {
-    console.log(`📊 Handling status request for user ${userId}`);
+  isAdmin(userId) {
+    return Boolean(config.ADMIN_TELEGRAM_ID) && Number(userId) === config.ADMIN_TELEGRAM_ID;
+  }
+
+  describeDraftStatus(draft) {
+    if (lessonDrafts.isReleased(draft)) return '📤 Sent to users';
+    if (draft.status === 'approved') return '✅ Approved';
+    if (draft.status === 'auto_approved') return '⏰ Auto-approved';
+    return '⏳ Pending review — auto-approved at the deadline if untouched';
+  }
+
+  formatDraft(draft) {
+    const levelName = config.DIFFICULTY_LEVELS[draft.difficulty_level]?.name || 'Unknown';
+    return `📝 Lesson draft for ${draft.lesson_date}\n` +
+      `Level ${draft.difficulty_level} (${levelName}), lesson ${draft.slot + 1}\n` +
+      `${this.describeDraftStatus(draft)}\n\n` +
+      `${draft.russian_text}${formatTransliteration(draft.russian_text)}\n\n` +
+      `🔤 ${draft.english_translation}` +
+      `${formatWordBreakdown(draft.word_breakdown).trimEnd()}`;
+  }
+
+  draftKeyboard(draft) {
+    if (lessonDrafts.isReleased(draft)) return {};
+
+    const row = [
+      { text: '🔄 Regenerate', callback_data: `draft_regen_${draft.id}` },
+      { text: '✏️ Edit', callback_data: `draft_edit_${draft.id}` }
+    ];
+    if (draft.status === 'pending') {
+      row.unshift({ text: '✅ Approve', callback_data: `draft_approve_${draft.id}` });
+    }
+    return this.createKeyboard([row]);
+  }
+
+  formatContactMessage(contact) {
+    const statusLabels = { new: '🆕 New', read: '👀 Read', replied: '✅ Replied' };
+    return `📝 Contact form message #${contact.id} — ${statusLabels[contact.status] || contact.status}\n\n` +
+      `${contact.message}\n\n` +
+      `Reply to: ${contact.reply_to || 'not given'}\n` +
+      `From: ${contact.ip || 'unknown'} at ${contact.created_at}`;
+  }
+
+  contactKeyboard(contact) {
+    const buttons = [];
+    if (contact.status === 'new') {
+      buttons.push({ text: '👀 Mark read', callback_data: `contact_read_${contact.id}` });
+    }
+    if (contact.status !== 'replied') {
+      buttons.push({ text: '✅ Mark replied', callback_data: `contact_replied_${contact.id}` });
+    }
+    return buttons.length > 0 ? this.createKeyboard([buttons]) : {};
+  }
+
+  // Forward a new contact-form submission to the admin chat
+  async forwardContactMessage(contact) {
+    if (!config.ADMIN_TELEGRAM_ID) {
+      console.warn('⚠️ ADMIN_TELEGRAM_ID not set — contact message only stored');
+      return;
+    }
 
     try {
-      const user = await database.getUser(userId.toString());
-      if (!user) {
-        await this.bot.sendMessage(chatId, '❌ User not found. Please use /start first.');
+      const sent = await this.bot.sendMessage(config.ADMIN_TELEGRAM_ID, this.formatContactMessage(contact), this.contactKeyboard(contact));
+      await database.updateContactMessage(contact.id, { adminMessageId: sent.message_id });
+    } catch (error) {
+      console.error(`❌ Failed to forward contact message ${contact.id} to admin:`, error.message);
+    }
+  }
+
+  async handleContactAction(chatId, userId, status, contactId) {
+    if (!this.isAdmin(userId) || !['read', 'replied'].includes(status)) return;
+
+    await database.updateContactMessage(contactId, { status });
+    const contact = await database.getContactMessage(contactId);
+    if (!contact) {
+      await this.bot.sendMessage(chatId, '❌ That message no longer exists.');
+      return;
+    }
+
+    try {
+      await this.bot.editMessageText(this.formatContactMessage(contact), {
+        chat_id: chatId,
+        message_id: contact.admin_message_id,
+        ...this.contactKeyboard(contact)
+      });
+    } catch (error) {
+      console.error(`❌ Could not edit contact message ${contact.admin_message_id}:`, error.message);
+      await this.bot.sendMessage(chatId, this.formatContactMessage(contact), this.contactKeyboard(contact));
+    }
+  }
+
+  // Send a freshly generated draft to the admin for moderation
+  async sendDraftForReview(draft) {
+    if (!config.ADMIN_TELEGRAM_ID) {
+      console.warn('⚠️ ADMIN_TELEGRAM_ID not set — drafts will be auto-approved at the deadline');
+      return;
+    }
+
+    try {
+      const sent = await this.bot.sendMessage(config.ADMIN_TELEGRAM_ID, this.formatDraft(draft), this.draftKeyboard(draft));
+      await database.updateLessonDraft(draft.id, { adminMessageId: sent.message_id });
+    } catch (error) {
+      console.error(`❌ Failed to send lesson draft ${draft.id} to admin:`, error.message);
+    }
+  }
+
+  // Replace the admin's copy of a draft in place, falling back to a new message
+  async refreshDraftMessage(chatId, draft) {
+    if (draft.admin_message_id) {
+      try {
+        await this.bot.editMessageText(this.formatDraft(draft), {
+          chat_id: chatId,
+          message_id: draft.admin_message_id,
+          ...this.draftKeyboard(draft)
+        });
         return;
+      } catch (error) {
+        console.error(`❌ Could not edit draft message ${draft.admin_message_id}:`, error.message);
       }
+    }
 
-      const levelName = config.DIFFICULTY_LEVELS[user.difficulty_level]?.name || 'Unknown';
+    const sent = await this.bot.sendMessage(chatId, this.formatDraft(draft), this.draftKeyboard(draft));
+    await database.updateLessonDraft(draft.id, { adminMessageId: sent.message_id });
+  }
 
-      const statusMessage =
-        `📊 Your Status\n\n` +
-        `✅ Free access — lessons are always on\n` +
-        `Current Level: ${user.difficulty_level} (${levelName})\n\n` +
-        `Your lessons are sent every day at 11:00 Tokyo time.`;
+  async handleDraftAction(chatId, userId, action, draftId) {
+    if (!this.isAdmin(userId)) return;
 
-      const keyboard = this.createKeyboard([
-        [{ text: '🏠 Main Menu', callback_data: 'back_to_main' }]
-      ]);
+    console.log(`🛂 Admin ${action} on lesson draft ${draftId}`);
+    const draft = await database.getLessonDraft(draftId);
+    if (!draft) {
+      await this.bot.sendMessage(chatId, '❌ That draft no longer exists.');
+      return;
+    }
+    if (lessonDrafts.isReleased(draft)) {
+      await this.bot.sendMessage(chatId, '📤 That lesson has already been sent to users and can no longer change.');
+      return;
+    }
 
-      await this.bot.sendMessage(chatId, statusMessage, keyboard);
-    } catch (error) {
-      console.error('❌ Error in handleStatus:', error);
-      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    switch (action) {
+      case 'approve':
+        await this.refreshDraftMessage(chatId, await lessonDrafts.approve(draftId));
+        break;
+      case 'regen':
+        await this.bot.sendMessage(chatId, '🔄 Generating a replacement…');
+        await this.refreshDraftMessage(chatId, await lessonDrafts.regenerate(draftId));
+        break;
+      case 'edit':
+        this.pendingDraftEdit = draftId;
+        await this.bot.sendMessage(
+          chatId,
+          '✏️ Send the corrected lesson as two lines — the Russian sentence, then the English translation ' +
+          '(the word breakdown is kept, so only fix spelling or punctuation this way) — ' +
+          'or as a full JSON object with russian_text, english_translation and word_breakdown.\n\n' +
+          'Send "cancel" to leave it as is.'
+        );
+        break;
+      default:
+        console.warn(`⚠️ Unknown draft action: ${action}`);
     }
   }
 
-  async handleSettings(chatId, userId) {
-    console.log(`⚙️ Handling settings request for user ${userId}`);
+  async handleDraftEdit(msg) {
+    const chatId = msg.chat.id;
+    const draftId = this.pendingDraftEdit;
 
     try {
-      const user = await database.getUser(userId.toString());
-      if (!user) {
-        await this.bot.sendMessage(chatId, '❌ User not found. Please use /start first.');
+      if (msg.text.trim().toLowerCase() === 'cancel') {
+        this.pendingDraftEdit = null;
+        await this.bot.sendMessage(chatId, '👌 Edit cancelled.');
         return;
       }
 
-      const levelName = config.DIFFICULTY_LEVELS[user.difficulty_level]?.name || 'Unknown';
+      const draft = await database.getLessonDraft(draftId);
+      if (!draft || lessonDrafts.isReleased(draft)) {
+        this.pendingDraftEdit = null;
+        await this.bot.sendMessage(chatId, '📤 That lesson has already been sent to users and can no longer change.');
+        return;
+      }
 
-      let settingsMessage = `⚙️ Settings\n\n`;
-      settingsMessage += `Current Difficulty Level: ${user.difficulty_level} (${levelName})\n\n`;
-      settingsMessage += `Choose your difficulty level:\n`;
+      const { draft: updated, errors } = await lessonDrafts.edit(draftId, msg.text);
+      if (errors) {
+        // Stay in edit mode so the admin can try again
+        await this.bot.sendMessage(chatId, `❌ That edit doesn't validate:\n- ${errors.join('\n- ')}\n\nTry again or send "cancel".`);
+        return;
+      }
 
-      Object.entries(config.DIFFICULTY_LEVELS).forEach(([level, info]) => {
-        settingsMessage += `• Level ${level}: ${info.name} (${info.description})\n`;
+      this.pendingDraftEdit = null;
+      await this.refreshDraftMessage(chatId, updated);
+    } catch (error) {
+      console.error('❌ Error in handleDraftEdit:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    }
+  }
+
+  // /stats: users per level and delivery state, plus today's sends (bot timezone)
+  async handleStats(chatId) {
+    try {
+      const levels = await database.getUserStats();
+      const since = getStartOfLocalDay(config.TIMEZONE);
+      const deliveries = await database.getDeliveryStats(toSqlDate(since));
+
+      const totals = { total: 0, active: 0, paused: 0, stopped: 0, blocked: 0 };
+      const levelLines = levels.map(row => {
+        Object.keys(totals).forEach(key => {
+          totals[key] += row[key] || 0;
+        });
+        const levelName = config.DIFFICULTY_LEVELS[row.difficulty_level]?.name || 'Unknown';
+        return `• Level ${row.difficulty_level} (${levelName}): ${row.total} users, ${row.active} active`;
       });
 
-      const keyboard = this.createKeyboard([
-        [
-          { text: 'Level 1', callback_data: 'level_1' },
-          { text: 'Level 2', callback_data: 'level_2' },
-          { text: 'Level 3', callback_data: 'level_3' }
-        ],
-        [
-          { text: 'Level 4', callback_data: 'level_4' },
-          { text: 'Level 5', callback_data: 'level_5' }
-        ],
-        [{ text: '🏠 Main Menu', callback_data: 'back_to_main' }]
-      ]);
+      const byStatus = { sent: 0, failed: 0, queued: 0 };
+      const byKind = {};
+      deliveries.forEach(row => {
+        byStatus[row.status] = (byStatus[row.status] || 0) + row.count;
+        if (row.status === 'sent') byKind[row.kind] = (byKind[row.kind] || 0) + row.count;
+      });
+      const kindSummary = Object.entries(byKind).map(([kind, count]) => `${kind} ${count}`).join(', ');
 
-      await this.bot.sendMessage(chatId, settingsMessage, keyboard);
+      const statsMessage =
+        `📊 Bot stats\n\n` +
+        `👥 Users: ${totals.total}\n` +
+        `✅ Active: ${totals.active} · ⏸ Paused: ${totals.paused} · 🛑 Stopped: ${totals.stopped} · 🚫 Blocked: ${totals.blocked}\n\n` +
+        `${levelLines.join('\n') || 'No users yet.'}\n\n` +
+        `📤 Lessons today (since 00:00 ${config.TIMEZONE}):\n` +
+        `Sent: ${byStatus.sent}${kindSummary ? ` (${kindSummary})` : ''} · Failed: ${byStatus.failed} · Queued: ${byStatus.queued}`;
+
+      await this.bot.sendMessage(chatId, statsMessage);
     } catch (error) {
-      console.error('❌ Error in handleSettings:', error);
+      console.error('❌ Error in handleStats:', error);
       await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
     }
   }
 
-  async handleSetLevel(chatId, userId, level) {
-    console.log(`🎯 Handling level change request: ${level} for user ${userId}`);
+  async handleQueueStatus(chatId) {
+    const status = messageQueue.getStatus();
+    const { stats } = status;
+
+    const queueMessage =
+      `📬 Message queue\n\n` +
+      `Queued: ${status.queueLength} · In flight: ${status.inFlight} · Waiting to retry: ${status.pendingRetries}\n` +
+      `Processing: ${status.isProcessing ? 'yes' : 'no'}${status.isShuttingDown ? ' (shutting down)' : ''}\n` +
+      `${status.isPaused ? '⏸️ Paused by an admin\n' : ''}` +
+      `Rate limit: ${status.rateLimit}/s, ${status.perChatIntervalMs}ms per chat\n` +
+      `${status.pausedUntil ? `⏳ Paused by Telegram until ${status.pausedUntil}\n` : ''}\n` +
+      `Since start: ${stats.sent} sent, ${stats.retried} retried, ${stats.dead} dead\n` +
+      `Errors: ${stats.rateLimited} rate-limited, ${stats.blocked} blocked, ` +
+      `${stats.permanentErrors} permanent, ${stats.transientErrors} transient`;
+
+    await this.bot.sendMessage(chatId, queueMessage);
+  }
+
+  async handleBroadcastPreview(chatId, text) {
+    if (!text || !text.trim()) {
+      await this.bot.sendMessage(chatId, '📣 Usage: /broadcast <message>\n\nYou\'ll see a preview before anything is sent.');
+      return;
+    }
 
     try {
-      await database.updateUserLevel(userId.toString(), level);
-      const updatedUser = await database.getUser(userId.toString());
-      console.log(`👤 User after update:`, updatedUser);
+      const users = await this.scheduler.getActiveUsers();
+      this.pendingBroadcast = text.trim();
 
-      const levelName = config.DIFFICULTY_LEVELS[level]?.name || 'Unknown';
-      const confirmMessage = `✅ Difficulty updated to Level ${level}!\n\nYour lessons will now be at ${levelName} level.`;
+      await this.bot.sendMessage(chatId, `📣 Broadcast preview — goes to ${users.length} active users:`);
+      await this.bot.sendMessage(chatId, this.pendingBroadcast, this.createKeyboard([
+        [
+          { text: '✅ Send', callback_data: 'broadcast_confirm' },
+          { text: '❌ Cancel', callback_data: 'broadcast_cancel' }
+        ]
+      ]));
+    } catch (error) {
+      console.error('❌ Error in handleBroadcastPreview:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    }
+  }
 
-      const keyboard = this.createKeyboard([
-        [{ text: '🏠 Main Menu', callback_data: 'back_to_main' }]
-      ]);
+  async handleBroadcastConfirm(chatId, userId) {
+    if (!this.isAdmin(userId)) return;
 
-      await this.bot.sendMessage(chatId, confirmMessage, keyboard);
+    const text = this.pendingBroadcast;
+    if (!text) {
+      await this.bot.sendMessage(chatId, '📭 No broadcast waiting — send /broadcast <message> first.');
+      return;
+    }
+    this.pendingBroadcast = null;
+
+    try {
+      const users = await this.scheduler.getActiveUsers();
+      let queued = 0;
+      for (const user of users) {
+        const targetChatId = parseInt(user.telegram_user_id, 10);
+        if (isNaN(targetChatId)) continue;
+        await messageQueue.addMessage(targetChatId, text);
+        queued += 1;
+      }
+
+      console.log(`📣 Broadcast queued for ${queued} users`);
+      await this.bot.sendMessage(chatId, `📣 Broadcast queued for ${queued} users. Check progress with /queue.`);
     } catch (error) {
-      console.error('❌ Error in handleSetLevel:', error);
+      console.error('❌ Error in handleBroadcastConfirm:', error);
       await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
     }
   }
 
-  async handleMessage(msg) {
-    console.log(`📝 User text message: ${msg.text}`);
+  async handleBroadcastCancel(chatId, userId) {
+    if (!this.isAdmin(userId)) return;
 
-    const hasCyrillicScript = /[\u0400-\u04FF]/.test(msg.text);
+    this.pendingBroadcast = null;
+    await this.bot.sendMessage(chatId, '👌 Broadcast cancelled.');
+  }
 
-    if (hasCyrillicScript) {
-      console.log('🇷🇺 User typed in Russian - not responding');
-      return;
+  async handleSendNowConfirm(chatId) {
+    try {
+      const users = await this.scheduler.getActiveUsers();
+      await this.bot.sendMessage(
+        chatId,
+        `🚀 Send today's lesson to all ${users.length} active users now? Users who already got it today will get it again.`,
+        this.createKeyboard([
+          [
+            { text: '🚀 Send now', callback_data: 'sendnow_confirm' },
+            { text: '🏠 Cancel', callback_data: 'back_to_main' }
+          ]
+        ])
+      );
+    } catch (error) {
+      console.error('❌ Error in handleSendNowConfirm:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
     }
+  }
 
-    const chatId = msg.chat.id;
-    const userId = msg.from.id;
-    const displayName = msg.from.first_name || msg.from.username || 'User';
+  async handleSendNow(chatId, userId) {
+    if (!this.isAdmin(userId)) return;
+
+    console.log(`🚀 Manual send triggered by admin ${userId}`);
+    await this.bot.sendMessage(chatId, '🚀 Queuing lessons now — you\'ll get the usual summary when it\'s done.');
+    await this.scheduler.sendDailyMessages();
+  }
+
+  // /user <id> shows a user; /user <id> <level> (or the buttons) changes their level
+  async handleUserCommand(chatId, targetId, level = null) {
+    if (!targetId) {
+      await this.bot.sendMessage(chatId, '👤 Usage: /user <telegram id> [level]');
+      return;
+    }
 
     try {
-      await database.createUser(userId.toString(), displayName);
-      await this.bot.sendMessage(chatId, this.welcomeMessage(), this.mainMenuKeyboard());
+      let user = await database.getUser(targetId);
+      if (!user) {
+        await this.bot.sendMessage(chatId, `❌ No user with id ${targetId}.`);
+        return;
+      }
+
+      if (level !== null) {
+        if (!config.DIFFICULTY_LEVELS[level]) {
+          await this.bot.sendMessage(chatId, `❌ Level must be 1–${Object.keys(config.DIFFICULTY_LEVELS).length}.`);
+          return;
+        }
+        await database.updateUserLevel(targetId, level, 'admin');
+        console.log(`🛂 Admin set user ${targetId} to level ${level}`);
+        user = await database.getUser(targetId);
+      }
+
+      const activity = await database.getUserActivity(targetId);
+      const history = (await database.getLevelHistory(targetId)).slice(0, 3);
+      const levelName = config.DIFFICULTY_LEVELS[user.difficulty_level]?.name || 'Unknown';
+
+      const userMessage =
+        `👤 ${user.display_name || 'User'} (${user.telegram_user_id})\n\n` +
+        `Level: ${user.difficulty_level} (${levelName})\n` +
+        `Delivery: ${this.describeSchedule(user)}, ${this.describeFrequency(user)}\n` +
+        `State: ${this.describeDeliveryState(user)}\n` +
+        `Audio: ${user.audio_enabled === 0 ? 'off' : 'on'}\n` +
+        `Joined: ${user.created_at}\n\n` +
+        `Lessons sent: ${activity.lessons_sent}${activity.last_lesson_at ? ` (last ${activity.last_lesson_at})` : ''}\n` +
+        `Practice attempts: ${activity.attempts}${activity.average_grade !== null ? `, average ${activity.average_grade}/100` : ''}` +
+        (history.length > 0
+          ? `\n\nLevel changes:\n${history.map(row => `• ${row.from_level ?? '?'} → ${row.to_level} (${row.reason}, ${row.created_at})`).join('\n')}`
+          : '');
+
+      const keyboard = this.createKeyboard([
+        Object.keys(config.DIFFICULTY_LEVELS).map(key => ({
+          text: Number(key) === user.difficulty_level ? `• ${key} •` : `Level ${key}`,
+          callback_data: `admin_level_${user.telegram_user_id}_${key}`
+        }))
+      ]);
+
+      await this.bot.sendMessage(chatId, userMessage, keyboard);
     } catch (error) {
-      console.error('❌ Error in handleMessage:', error);
+      console.error('❌ Error in handleUserCommand:', error);
       await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
     }
   }
 
-  async sendImmediateSentence(chatId, userId) {
+  // Replace a menu message in place (paging), falling back to a new message
+  async editOrSend(chatId, messageId, text, keyboard) {
+    if (messageId) {
+      try {
+        await this.bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...keyboard });
+        return;
+      } catch (error) {
+        console.error(`❌ Could not edit message ${messageId}:`, error.message);
+      }
+    }
+    await this.bot.sendMessage(chatId, text, keyboard);
+  }
+
+  formatPlacementQuestion(question) {
+    const options = question.options
+      .map((option, index) => `${placement.optionLabels[index]}) ${option}`)
+      .join('\n');
+    return `🎯 Placement quiz — question ${question.step} of ${config.PLACEMENT.QUESTIONS}\n\n` +
+      `What does this mean?\n\n${question.russianText}\n\n${options}`;
+  }
+
+  placementKeyboard(question) {
+    return this.createKeyboard([
+      question.options.map((option, index) => ({
+        text: placement.optionLabels[index],
+        callback_data: `placement_answer_${index}`
+      })),
+      [{ text: '✖️ Stop quiz', callback_data: 'placement_skip' }]
+    ]);
+  }
+
+  async handlePlacementStart(chatId, userId, messageId = null) {
+    console.log(`🎯 Starting placement quiz for user ${userId}`);
+
     try {
       const user = await database.getUser(userId.toString());
       if (!user) {
-        console.error('❌ User not found for immediate sentence');
+        await this.bot.sendMessage(chatId, '❌ User not found. Please use /start first.');
         return;
       }
 
-      const sentenceData = await this.generateSentence(user.difficulty_level);
-      await this.saveSentence(sentenceData, user.difficulty_level);
-
-      let wordBreakdown = '';
-      if (sentenceData.word_breakdown && sentenceData.word_breakdown.length > 0) {
-        wordBreakdown = '\n\n📚 Word Breakdown:\n';
-        for (const word of sentenceData.word_breakdown) {
-          if (typeof word === 'object' && word.word && word.meaning) {
-            const pronunciation = word.pronunciation ? word.pronunciation.trim().toLowerCase() : '';
-            wordBreakdown += `${word.word} - ${word.meaning}${pronunciation ? ` - ${pronunciation}` : ''}\n`;
-          } else if (typeof word === 'string') {
-            wordBreakdown += `${word}\n`;
-          }
-        }
+      const question = await placement.start(user.telegram_user_id);
+      if (!question) {
+        await this.editOrSend(
+          chatId,
+          messageId,
+          '🎯 The placement quiz needs a few more lessons in the library first — please pick a level in ⚙️ Settings for now.',
+          this.mainMenuKeyboard()
+        );
+        return;
       }
 
-      const message = `🇷🇺 Your First Russian Lesson
+      await this.editOrSend(chatId, messageId, this.formatPlacementQuestion(question), this.placementKeyboard(question));
+    } catch (error) {
+      console.error('❌ Error in handlePlacementStart:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    }
+  }
+
+  async handlePlacementAnswer(chatId, userId, optionIndex, messageId) {
+    const telegramUserId = userId.toString();
+    const result = await placement.answer(telegramUserId, optionIndex);
+    if (!result) {
+      await this.bot.sendMessage(chatId, '⌛ That quiz has expired. Send /placement to start a new one.');
+      return;
+    }
 
-📝 Russian Sentence:
-${sentenceData.russian_text}
+    const feedback = result.correct
+      ? '✅ Correct!'
+      : `❌ Not quite — it means "${result.correctAnswer}".`;
+
+    if (result.question) {
+      await this.editOrSend(
+        chatId,
+        messageId,
+        `${feedback}\n\n${this.formatPlacementQuestion(result.question)}`,
+        this.placementKeyboard(result.question)
+      );
+      return;
+    }
 
-🔤 English Translation:
-${sentenceData.english_translation}
+    const level = result.recommendedLevel;
+    const levelInfo = config.DIFFICULTY_LEVELS[level];
+    await database.updateUserLevel(telegramUserId, level, 'placement');
+    console.log(`🎯 Placement quiz put user ${userId} at level ${level}`);
+
+    await this.editOrSend(
+      chatId,
+      messageId,
+      `${feedback}\n\n🎯 Quiz done! Your level: ${level} — ${levelInfo.name} (${levelInfo.description}).\n\n` +
+      `Your lessons will now come at this level. Change it any time in ⚙️ Settings, or retake the quiz with /placement.`,
+      this.mainMenuKeyboard()
+    );
+  }
 
-Try typing the sentence back in Russian!${wordBreakdown}
+  formatQuizExercise(session, exercise) {
+    const header = `🧠 Quiz — ${session.index + 1} of ${session.steps.length}\n\n`;
+    const options = () => exercise.options
+      .map((option, index) => `${exercises.optionLabels[index]}) ${option}`)
+      .join('\n');
+
+    switch (exercise.type) {
+      case 'meaning':
+        return `${header}What does «${exercise.word}» mean?\n\n${options()}`;
+      case 'cloze':
+        return `${header}Fill in the missing word:\n\n${exercise.text}\n\n🔤 ${exercise.hint}\n\n${options()}`;
+      case 'scramble': {
+        const built = exercise.picked.map(index => exercise.words[index]).join(' ');
+        return `${header}Put the words in order:\n🔤 ${exercise.hint}\n\n✏️ ${built || '…'}`;
+      }
+      default:
+        return `${header}Translate into Russian and send it as a message:\n\n🔤 ${exercise.english}`;
+    }
+  }
 
-Practice writing the Russian sentence!`;
+  // Button data is quiz_<action>_<sessionId>_<step>[_<index>], so taps on old quizzes can be told apart
+  quizKeyboard(session, exercise) {
+    const ref = `${session.id}_${session.index}`;
+    const controls = [
+      { text: '⏭ Skip', callback_data: `quiz_skip_${ref}` },
+      { text: '✖️ Stop', callback_data: `quiz_stop_${ref}` }
+    ];
+
+    if (exercise.type === 'scramble') {
+      const remaining = exercise.order
+        .filter(index => !exercise.picked.includes(index))
+        .map(index => ({ text: exercise.words[index], callback_data: `quiz_pick_${ref}_${index}` }));
+      const rows = [];
+      for (let i = 0; i < remaining.length; i += 3) {
+        rows.push(remaining.slice(i, i + 3));
+      }
+      if (exercise.picked.length > 0) {
+        controls.unshift({ text: '↩️ Undo', callback_data: `quiz_undo_${ref}` });
+      }
+      return this.createKeyboard([...rows, controls]);
+    }
 
-      console.log(`📤 Sending immediate lesson to user ${userId}`);
-      await this.bot.sendMessage(chatId, message);
-      console.log(`✅ Immediate sentence sent to user ${userId}`);
-    } catch (error) {
-      console.error('❌ Error in sendImmediateSentence:', error);
+    if (exercise.type === 'translate') {
+      return this.createKeyboard([controls]);
     }
+
+    return this.createKeyboard([
+      exercise.options.map((option, index) => ({
+        text: exercises.optionLabels[index],
+        callback_data: `quiz_pick_${ref}_${index}`
+      })),
+      controls
+    ]);
   }
 
-  async generateSentence(difficultyLevel) {
+  // "🧠 Quiz me" under a lesson: a few exercises on that lesson's words
+  async handleQuizStart(chatId, userId, sentenceId) {
+    console.log(`🧠 Starting quiz on sentence ${sentenceId} for user ${userId}`);
+
     try {
-      return await deepseekService.generateRussianSentence(difficultyLevel);
-    } catch (error) {
-      console.error('❌ Error generating sentence:', error);
-      const fallbackSentences = {
-        1: {
-          russian_text: 'Добрый день! Как дела?',
-          english_translation: 'Good day! How are you?',
+      const user = await database.getUser(userId.toString());
+      if (!user) {
+        await this.bot.sendMessage(chatId, '❌ User not found. Please use /start first.');
+        return;
+      }
+
+      const session = await exercises.start(user.telegram_user_id, sentenceId);
+      if (!session) {
+        await this.bot.sendMessage(chatId, '🤔 I couldn\'t build a quiz for that lesson. Try the next one!');
+        return;
+      }
+
+      const exercise = exercises.getCurrent(session);
+      await this.bot.sendMessage(chatId, this.formatQuizExercise(session, exercise), this.quizKeyboard(session, exercise));
+    } catch (error) {
+      console.error('❌ Error in handleQuizStart:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    }
+  }
+
+  // Shows the next exercise after `feedback`, or the final score once the quiz is over
+  async handleQuizAdvance(chatId, userId, feedback, messageId = null) {
+    const telegramUserId = userId.toString();
+    const session = exercises.getSession(telegramUserId);
+    if (!session) {
+      await this.bot.sendMessage(chatId, '⌛ That quiz has expired. Tap 🧠 Quiz me under a lesson to start a new one.');
+      return;
+    }
+
+    const next = exercises.advance(telegramUserId);
+    if (next) {
+      await this.editOrSend(chatId, messageId, `${feedback}\n\n${this.formatQuizExercise(session, next)}`, this.quizKeyboard(session, next));
+      return;
+    }
+
+    console.log(`🧠 Quiz done for user ${userId}: ${session.correct}/${session.steps.length}`);
+    await this.editOrSend(
+      chatId,
+      messageId,
+      `${feedback}\n\n🧠 Quiz done — ${session.correct}/${session.steps.length} correct.\n\n📝 ${session.sentence.russian_text}`,
+      this.mainMenuKeyboard()
+    );
+  }
+
+  // Pick / undo / skip / stop buttons; anything not from the current quiz and step is stale
+  async handleQuizAction(chatId, userId, action, { sessionId, step, index }, messageId) {
+    const telegramUserId = userId.toString();
+    const session = exercises.getSession(telegramUserId, sessionId, step);
+    if (!session) {
+      // A double tap on a question that has already moved on needs no reply
+      if (!exercises.getSession(telegramUserId, sessionId)) {
+        await this.bot.sendMessage(chatId, '⌛ That quiz has expired. Tap 🧠 Quiz me under a lesson to start a new one.');
+      }
+      return;
+    }
+
+    switch (action) {
+      case 'pick':
+        await this.handleQuizAnswer(chatId, userId, session, index, messageId);
+        break;
+      case 'undo':
+        exercises.undo(telegramUserId, sessionId, step);
+        await this.editOrSend(chatId, messageId, this.formatQuizExercise(session, exercises.getCurrent(session)), this.quizKeyboard(session, exercises.getCurrent(session)));
+        break;
+      case 'skip':
+        await this.handleQuizAdvance(chatId, userId, '⏭ Skipped.', messageId);
+        break;
+      case 'stop':
+        exercises.stop(telegramUserId);
+        await this.editOrSend(chatId, messageId, '👌 Quiz stopped. Tap 🧠 Quiz me under any lesson to try again.', this.mainMenuKeyboard());
+        break;
+    }
+  }
+
+  async handleQuizAnswer(chatId, userId, session, index, messageId) {
+    const result = await exercises.choose(userId.toString(), session.id, session.index, index);
+    if (!result) return;
+
+    if (result.pending) {
+      const exercise = exercises.getCurrent(session);
+      await this.editOrSend(chatId, messageId, this.formatQuizExercise(session, exercise), this.quizKeyboard(session, exercise));
+      return;
+    }
+
+    const feedback = result.correct ? '✅ Correct!' : `❌ Not quite — the answer is: ${result.answer}`;
+    await this.handleQuizAdvance(chatId, userId, feedback, messageId);
+  }
+
+  // Typed answer to the quiz's English→Russian exercise
+  async handleQuizTranslation(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    try {
+      const result = await exercises.answerText(userId.toString(), msg.text);
+      if (!result) return;
+
+      const feedback =
+        `${result.grade.emoji} ${result.grade.label} — ${result.grade.score}/100\n\n` +
+        `${gradingService.formatDiff(result.grade)}`;
+      await this.handleQuizAdvance(chatId, userId, feedback);
+    } catch (error) {
+      console.error('❌ Error in handleQuizTranslation:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    }
+  }
+
+  // /words [search]: the user's word notebook, newest first, known words last
+  async handleWords(chatId, userId, search = null) {
+    console.log(`📒 Handling words request for user ${userId}`);
+
+    try {
+      const user = await database.getUser(userId.toString());
+      if (!user) {
+        await this.bot.sendMessage(chatId, '❌ User not found. Please use /start first.');
+        return;
+      }
+
+      await vocabulary.backfill(user.telegram_user_id);
+      this.wordSearches.set(userId, search && search.trim() ? search.trim() : null);
+      await this.showWordsPage(chatId, userId, 0);
+    } catch (error) {
+      console.error('❌ Error in handleWords:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    }
+  }
+
+  async showWordsPage(chatId, userId, page, messageId = null) {
+    const search = this.wordSearches.get(userId) || null;
+    const result = await vocabulary.getPage(userId.toString(), { search, page });
+
+    let text = search
+      ? `📒 Words matching "${search}" (${result.total})\n\n`
+      : `📒 Your words (${result.total})\n\n`;
+    if (result.total === 0) {
+      text += search
+        ? 'Nothing matches that. Try a Russian word or its English meaning, or /words to see everything.'
+        : 'Words from your lessons will collect here as they arrive.';
+    } else {
+      text += result.words.map(word =>
+        `${word.starred ? '⭐ ' : ''}${word.display_word} — ${word.meaning || '?'}${word.known ? ' ✅' : ''}`
+      ).join('\n');
+      text += '\n\nTap a word to star it or mark it as known.';
+    }
+
+    const rows = [];
+    for (let i = 0; i < result.words.length; i += 2) {
+      rows.push(result.words.slice(i, i + 2).map(word => ({
+        text: word.display_word,
+        callback_data: `word_show_${word.id}_${result.page}`
+      })));
+    }
+    if (result.pageCount > 1) {
+      const nav = [];
+      if (result.page > 0) nav.push({ text: '◀️', callback_data: `words_page_${result.page - 1}` });
+      nav.push({ text: `${result.page + 1}/${result.pageCount}`, callback_data: `words_page_${result.page}` });
+      if (result.page < result.pageCount - 1) nav.push({ text: '▶️', callback_data: `words_page_${result.page + 1}` });
+      rows.push(nav);
+    }
+    rows.push([{ text: '🏠 Main Menu', callback_data: 'back_to_main' }]);
+
+    await this.editOrSend(chatId, messageId, text, this.createKeyboard(rows));
+  }
+
+  async handleWordAction(chatId, userId, action, wordId, page, messageId) {
+    const telegramUserId = userId.toString();
+    let word;
+    if (action === 'star') {
+      word = await vocabulary.toggle(wordId, telegramUserId, 'starred');
+    } else if (action === 'known') {
+      word = await vocabulary.toggle(wordId, telegramUserId, 'known');
+    } else {
+      word = await database.getVocabularyWord(wordId, telegramUserId);
+    }
+
+    if (!word) {
+      await this.bot.sendMessage(chatId, '❌ That word is no longer in your notebook.');
+      return;
+    }
+
+    const wordMessage =
+      `${word.starred ? '⭐ ' : ''}${word.display_word} — ${word.meaning || '?'}` +
+      `${formatTransliteration(word.display_word.toLowerCase())}\n` +
+      `${word.known ? '\n✅ Marked as known — new lessons will lean on other words.\n' : ''}` +
+      `${word.russian_text ? `\nFirst seen in:\n${word.russian_text}\n${word.english_translation}` : ''}`;
+
+    const keyboard = this.createKeyboard([
+      [
+        { text: word.starred ? '☆ Unstar' : '⭐ Star', callback_data: `word_star_${word.id}_${page}` },
+        { text: word.known ? '↩️ Still learning' : '✅ I know this', callback_data: `word_known_${word.id}_${page}` }
+      ],
+      [{ text: '⬅️ Back to words', callback_data: `words_page_${page}` }]
+    ]);
+
+    await this.editOrSend(chatId, messageId, wordMessage, keyboard);
+  }
+
+  // /history [level] [today|yesterday|YYYY-MM-DD]: lessons the user has received, newest first
+  async handleHistory(chatId, userId, args = null) {
+    console.log(`📜 Handling history request for user ${userId}`);
+
+    try {
+      const user = await database.getUser(userId.toString());
+      if (!user) {
+        await this.bot.sendMessage(chatId, '❌ User not found. Please use /start first.');
+        return;
+      }
+
+      const filter = { level: null, date: null, search: null };
+      for (const arg of (args || '').trim().split(/\s+/).filter(Boolean)) {
+        const level = parseInt(arg, 10);
+        const date = lessonHistory.parseDate(arg, user.timezone);
+        if (String(level) === arg && config.DIFFICULTY_LEVELS[level]) {
+          filter.level = level;
+        } else if (date) {
+          filter.date = date;
+        } else {
+          await this.bot.sendMessage(chatId, '📜 Usage: /history [level 1-5] [today | yesterday | YYYY-MM-DD]\ne.g. /history 2 yesterday');
+          return;
+        }
+      }
+
+      this.historyFilters.set(userId, filter);
+      await this.showHistoryPage(chatId, userId, 0);
+    } catch (error) {
+      console.error('❌ Error in handleHistory:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    }
+  }
+
+  // /search <word>: past lessons whose Russian, English or word breakdown mentions it
+  async handleSearch(chatId, userId, search = null) {
+    if (!search || !search.trim()) {
+      await this.bot.sendMessage(chatId, '🔍 Usage: /search <word>, e.g. /search чай or /search tea');
+      return;
+    }
+
+    console.log(`🔍 Handling lesson search for user ${userId}`);
+
+    try {
+      const user = await database.getUser(userId.toString());
+      if (!user) {
+        await this.bot.sendMessage(chatId, '❌ User not found. Please use /start first.');
+        return;
+      }
+
+      this.historyFilters.set(userId, { level: null, date: null, search: search.trim() });
+      await this.showHistoryPage(chatId, userId, 0);
+    } catch (error) {
+      console.error('❌ Error in handleSearch:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    }
+  }
+
+  // Level / day buttons under the history list; 'all' or 'any' clears that filter
+  async handleHistoryFilter(chatId, userId, field, value, messageId) {
+    const user = await database.getUser(userId.toString());
+    if (!user) return;
+
+    const filter = { level: null, date: null, search: null, ...this.historyFilters.get(userId) };
+    if (field === 'level') {
+      filter.level = config.DIFFICULTY_LEVELS[parseInt(value)] ? parseInt(value) : null;
+    } else {
+      filter.date = lessonHistory.parseDate(value, user.timezone);
+    }
+    this.historyFilters.set(userId, filter);
+    await this.showHistoryPage(chatId, userId, 0, messageId);
+  }
+
+  async showHistoryPage(chatId, userId, page, messageId = null) {
+    const user = await database.getUser(userId.toString());
+    if (!user) return;
+
+    const filter = this.historyFilters.get(userId) || { level: null, date: null, search: null };
+    const result = await lessonHistory.getPage(user, { ...filter, page });
+
+    const filters = [
+      filter.level ? `Level ${filter.level}` : null,
+      filter.date,
+      filter.search ? `matching "${filter.search}"` : null
+    ].filter(Boolean);
+    let text = `${filter.search ? '🔍' : '📜'} Your lessons${filters.length > 0 ? ` — ${filters.join(' · ')}` : ''} (${result.total})\n\n`;
+    if (result.total === 0) {
+      text += filters.length > 0
+        ? 'Nothing matches that. Try another word, level or day, or /history to see everything.'
+        : 'Lessons you receive will collect here.';
+    } else {
+      text += result.lessons.map((lesson, index) =>
+        `${index + 1}. ${lesson.localDate} · Level ${lesson.difficulty_level}\n${lesson.russian_text}\n${lesson.english_translation}`
+      ).join('\n\n');
+      text += '\n\nTap a number to open that lesson.';
+    }
+
+    const rows = [];
+    if (result.lessons.length > 0) {
+      rows.push(result.lessons.map((lesson, index) => ({
+        text: String(index + 1),
+        callback_data: `history_show_${lesson.id}_${result.page}`
+      })));
+    }
+    if (result.pageCount > 1) {
+      const nav = [];
+      if (result.page > 0) nav.push({ text: '◀️', callback_data: `history_page_${result.page - 1}` });
+      nav.push({ text: `${result.page + 1}/${result.pageCount}`, callback_data: `history_page_${result.page}` });
+      if (result.page < result.pageCount - 1) nav.push({ text: '▶️', callback_data: `history_page_${result.page + 1}` });
+      rows.push(nav);
+    }
+
+    const mark = (selected, label) => (selected ? `• ${label}` : label);
+    rows.push([
+      { text: mark(!filter.level, 'All'), callback_data: 'history_level_all' },
+      ...Object.keys(config.DIFFICULTY_LEVELS).map(level => ({
+        text: mark(filter.level === parseInt(level), level),
+        callback_data: `history_level_${level}`
+      }))
+    ]);
+    const today = lessonHistory.parseDate('today', user.timezone);
+    const yesterday = lessonHistory.parseDate('yesterday', user.timezone);
+    rows.push([
+      { text: mark(!filter.date, 'Any day'), callback_data: 'history_date_any' },
+      { text: mark(filter.date === today, 'Today'), callback_data: 'history_date_today' },
+      { text: mark(filter.date === yesterday, 'Yesterday'), callback_data: 'history_date_yesterday' }
+    ]);
+    rows.push([{ text: '🏠 Main Menu', callback_data: 'back_to_main' }]);
+
+    await this.editOrSend(chatId, messageId, text, this.createKeyboard(rows));
+  }
+
+  async handleHistoryShow(chatId, userId, sentenceId, page, messageId) {
+    const user = await database.getUser(userId.toString());
+    const lesson = user && await lessonHistory.getLesson(user, sentenceId);
+    if (!lesson) {
+      await this.bot.sendMessage(chatId, '❌ That lesson is no longer in your history.');
+      return;
+    }
+
+    const lessonMessage =
+      `📜 ${lesson.localDate} · Level ${lesson.difficulty_level}\n\n` +
+      `📝 Russian Sentence:\n${lesson.russian_text}${formatTransliteration(lesson.russian_text)}\n\n` +
+      `🔤 English Translation:\n${lesson.english_translation}` +
+      `${formatWordBreakdown(lesson.word_breakdown).trimEnd()}`;
+
+    const keyboard = this.createKeyboard([
+      [{ text: '🧠 Quiz me', callback_data: `quiz_start_${lesson.id}` }],
+      [{ text: '⬅️ Back to history', callback_data: `history_page_${page}` }]
+    ]);
+
+    await this.editOrSend(chatId, messageId, lessonMessage, keyboard);
+  }
+
+  async handleStatus(chatId, userId) {
+    console.log(`📊 Handling status request for user ${userId}`);
+
+    try {
+      const user = await database.getUser(userId.toString());
+      if (!user) {
+        await this.bot.sendMessage(chatId, '❌ User not found. Please use /start first.');
+        return;
+      }
+
+      const levelName = config.DIFFICULTY_LEVELS[user.difficulty_level]?.name || 'Unknown';
+      const stats = await progressStats.getStats(user);
+
+      const statusMessage =
+        `📊 Your Status\n\n` +
+        `✅ Free access — no payment needed\n` +
+        `${this.describeDeliveryState(user)}\n` +
+        `Current Level: ${user.difficulty_level} (${levelName})\n\n` +
+        `📬 Lessons received: ${stats.lessonsReceived}\n` +
+        `✍️ Practice attempts: ${stats.attempts}` +
+        `${stats.averageGrade !== null ? ` (average grade ${stats.averageGrade}/100)` : ''}\n` +
+        `🔥 Streak: ${progressStats.formatStreak(stats.currentStreak)} (longest ${progressStats.formatStreak(stats.longestStreak)})\n` +
+        `📚 Words this week: ${stats.weekWords}\n\n` +
+        `Frequency: ${this.describeFrequency(user)}\n` +
+        `Your first lesson each day is sent at ${this.describeSchedule(user)}.`;
+
+      const keyboard = this.createKeyboard([
+        [{ text: '🏠 Main Menu', callback_data: 'back_to_main' }]
+      ]);
+
+      await this.bot.sendMessage(chatId, statusMessage, keyboard);
+    } catch (error) {
+      console.error('❌ Error in handleStatus:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    }
+  }
+
+  async handleSettings(chatId, userId) {
+    console.log(`⚙️ Handling settings request for user ${userId}`);
+
+    try {
+      const user = await database.getUser(userId.toString());
+      if (!user) {
+        await this.bot.sendMessage(chatId, '❌ User not found. Please use /start first.');
+        return;
+      }
+
+      const levelName = config.DIFFICULTY_LEVELS[user.difficulty_level]?.name || 'Unknown';
+
+      let settingsMessage = `⚙️ Settings\n\n`;
+      settingsMessage += `Current Difficulty Level: ${user.difficulty_level} (${levelName})\n`;
+      settingsMessage += `Delivery Time: ${this.describeSchedule(user)}\n`;
+      settingsMessage += `Frequency: ${this.describeFrequency(user)}\n`;
+      if (audioService.isEnabled()) {
+        settingsMessage += `Lesson audio: ${user.audio_enabled === 0 ? 'Off' : 'On'}\n`;
+      }
+      settingsMessage += `\n`;
+      settingsMessage += `Choose your difficulty level:\n`;
+
+      Object.entries(config.DIFFICULTY_LEVELS).forEach(([level, info]) => {
+        settingsMessage += `• Level ${level}: ${info.name} (${info.description})\n`;
+      });
+
+      const keyboard = this.createKeyboard([
+        [
+          { text: 'Level 1', callback_data: 'level_1' },
+          { text: 'Level 2', callback_data: 'level_2' },
+          { text: 'Level 3', callback_data: 'level_3' }
+        ],
+        [
+          { text: 'Level 4', callback_data: 'level_4' },
+          { text: 'Level 5', callback_data: 'level_5' },
+          { text: '🎯 Find my level', callback_data: 'placement_start' }
+        ],
+        [
+          { text: '🕐 Delivery time', callback_data: 'settings_time' },
+          { text: '🌍 Timezone', callback_data: 'settings_timezone' }
+        ],
+        [
+          { text: '📅 Frequency', callback_data: 'settings_frequency' },
+          ...(audioService.isEnabled()
+            ? [{ text: user.audio_enabled === 0 ? '🔊 Turn audio on' : '🔇 Turn audio off', callback_data: 'toggle_audio' }]
+            : [])
+        ],
+        [
+          this.isPaused(user)
+            ? { text: '▶️ Resume lessons', callback_data: 'resume' }
+            : { text: '⏸ Pause lessons', callback_data: 'pause_menu' },
+          { text: '🛑 Stop lessons', callback_data: 'stop_confirm' }
+        ],
+        [{ text: '🏠 Main Menu', callback_data: 'back_to_main' }]
+      ]);
+
+      await this.bot.sendMessage(chatId, settingsMessage, keyboard);
+    } catch (error) {
+      console.error('❌ Error in handleSettings:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    }
+  }
+
+  async handleSetLevel(chatId, userId, level) {
+    console.log(`🎯 Handling level change request: ${level} for user ${userId}`);
+
+    try {
+      await database.updateUserLevel(userId.toString(), level);
+      const updatedUser = await database.getUser(userId.toString());
+      console.log(`👤 User after update:`, updatedUser);
+
+      const levelName = config.DIFFICULTY_LEVELS[level]?.name || 'Unknown';
+      const confirmMessage = `✅ Difficulty updated to Level ${level}!\n\nYour lessons will now be at ${levelName} level.`;
+
+      const keyboard = this.createKeyboard([
+        [{ text: '🏠 Main Menu', callback_data: 'back_to_main' }]
+      ]);
+
+      await this.bot.sendMessage(chatId, confirmMessage, keyboard);
+    } catch (error) {
+      console.error('❌ Error in handleSetLevel:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    }
+  }
+
+  // After a graded attempt: offer a level up/down when recent grades call for it
+  async suggestLevelChange(chatId, user) {
+    const suggestion = await levelAdvisor.getSuggestion(user);
+    if (!suggestion) return;
+
+    await database.markLevelPrompted(user.telegram_user_id);
+    const { level, direction } = suggestion;
+    const levelInfo = config.DIFFICULTY_LEVELS[level];
+    console.log(`📈 Suggesting ${direction} to level ${level} for user ${user.telegram_user_id}`);
+
+    const prompt = direction === 'promotion'
+      ? `📈 You've been acing Level ${user.difficulty_level}! Move up to Level ${level} — ${levelInfo.name} (${levelInfo.description})?`
+      : `📉 Level ${user.difficulty_level} looks tough right now. Move to Level ${level} — ${levelInfo.name} (${levelInfo.description}) for a while?`;
+
+    await this.bot.sendMessage(chatId, prompt, this.createKeyboard([
+      [
+        { text: `✅ Move to Level ${level}`, callback_data: `suggest_level_${level}` },
+        { text: 'Not now', callback_data: 'suggest_keep' }
+      ]
+    ]));
+  }
+
+  async handleAcceptLevelSuggestion(chatId, userId, level, messageId) {
+    const user = await database.getUser(userId.toString());
+    if (!user || !config.DIFFICULTY_LEVELS[level]) return;
+
+    if (user.difficulty_level !== level) {
+      const reason = level > user.difficulty_level ? 'promotion' : 'demotion';
+      await database.updateUserLevel(user.telegram_user_id, level, reason);
+    }
+
+    const levelInfo = config.DIFFICULTY_LEVELS[level];
+    await this.editOrSend(
+      chatId,
+      messageId,
+      `✅ Moved to Level ${level} — ${levelInfo.name}. Your next lessons will be at this level.`,
+      {}
+    );
+  }
+
+  async handleDeliveryTimeMenu(chatId, userId) {
+    const user = await database.getUser(userId.toString());
+    if (!user) {
+      await this.bot.sendMessage(chatId, '❌ User not found. Please use /start first.');
+      return;
+    }
+
+    const rows = [];
+    for (let hour = 0; hour < 24; hour += 6) {
+      rows.push([0, 1, 2, 3, 4, 5].map(offset => ({
+        text: formatHour(hour + offset),
+        callback_data: `set_hour_${hour + offset}`
+      })));
+    }
+    rows.push([{ text: '⚙️ Back to Settings', callback_data: 'settings' }]);
+
+    await this.bot.sendMessage(
+      chatId,
+      `🕐 Delivery Time\n\nCurrently: ${this.describeSchedule(user)}\n\nPick the hour (your local time) for your daily lesson:`,
+      this.createKeyboard(rows)
+    );
+  }
+
+  async handleTimezoneMenu(chatId, userId) {
+    const user = await database.getUser(userId.toString());
+    if (!user) {
+      await this.bot.sendMessage(chatId, '❌ User not found. Please use /start first.');
+      return;
+    }
+
+    const buttons = config.TIMEZONE_CHOICES.map((timezone, index) => ({
+      text: timezone.split('/').pop().replace(/_/g, ' '),
+      callback_data: `set_tz_${index}`
+    }));
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 3) {
+      rows.push(buttons.slice(i, i + 3));
+    }
+    rows.push([{ text: '⚙️ Back to Settings', callback_data: 'settings' }]);
+
+    await this.bot.sendMessage(
+      chatId,
+      `🌍 Timezone\n\nCurrently: ${user.timezone || config.TIMEZONE}\n\nPick the city closest to you, or send /timezone followed by any zone name (e.g. /timezone America/Chicago).`,
+      this.createKeyboard(rows)
+    );
+  }
+
+  async handleFrequencyMenu(chatId, userId) {
+    const user = await database.getUser(userId.toString());
+    if (!user) {
+      await this.bot.sendMessage(chatId, '❌ User not found. Please use /start first.');
+      return;
+    }
+
+    const counts = Array.from({ length: config.MAX_LESSONS_PER_DAY }, (_, i) => i + 1);
+    const keyboard = this.createKeyboard([
+      counts.map(count => ({ text: `${count}/day`, callback_data: `set_freq_${count}` })),
+      [{
+        text: user.weekdays_only ? '📆 Every day' : '💼 Weekdays only',
+        callback_data: 'toggle_weekdays'
+      }],
+      [{ text: '⚙️ Back to Settings', callback_data: 'settings' }]
+    ]);
+
+    await this.bot.sendMessage(
+      chatId,
+      `📅 Lesson Frequency\n\nCurrently: ${this.describeFrequency(user)}\n\n` +
+      `Extra lessons are spread over the ${config.LESSON_WINDOW_HOURS} hours after your delivery time (ending by midnight), each with a new sentence.`,
+      keyboard
+    );
+  }
+
+  async handleToggleWeekdays(chatId, userId) {
+    const user = await database.getUser(userId.toString());
+    if (!user) {
+      await this.bot.sendMessage(chatId, '❌ User not found. Please use /start first.');
+      return;
+    }
+
+    await this.handleSetFrequency(chatId, userId, { weekdaysOnly: !user.weekdays_only });
+  }
+
+  async handleToggleAudio(chatId, userId) {
+    console.log(`🔊 Handling audio toggle for user ${userId}`);
+
+    try {
+      const user = await database.getUser(userId.toString());
+      if (!user) {
+        await this.bot.sendMessage(chatId, '❌ User not found. Please use /start first.');
+        return;
+      }
+
+      const enabled = user.audio_enabled === 0;
+      await database.updateUserAudio(userId.toString(), enabled);
+
+      const keyboard = this.createKeyboard([
+        [{ text: '⚙️ Back to Settings', callback_data: 'settings' }],
+        [{ text: '🏠 Main Menu', callback_data: 'back_to_main' }]
+      ]);
+
+      await this.bot.sendMessage(
+        chatId,
+        enabled ? '🔊 Lessons will now come with a voice message.' : '🔇 Lessons will be sent as text only.',
+        keyboard
+      );
+    } catch (error) {
+      console.error('❌ Error in handleToggleAudio:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    }
+  }
+
+  async handleSetFrequency(chatId, userId, { lessonsPerDay, weekdaysOnly }) {
+    console.log(`📅 Handling frequency change for user ${userId}:`, { lessonsPerDay, weekdaysOnly });
+
+    try {
+      if (lessonsPerDay !== undefined && !(lessonsPerDay >= 1 && lessonsPerDay <= config.MAX_LESSONS_PER_DAY)) {
+        throw new Error(`Invalid lessons per day: ${lessonsPerDay}`);
+      }
+
+      await database.updateUserFrequency(userId.toString(), { lessonsPerDay, weekdaysOnly });
+      const user = await database.getUser(userId.toString());
+
+      const keyboard = this.createKeyboard([
+        [{ text: '⚙️ Back to Settings', callback_data: 'settings' }],
+        [{ text: '🏠 Main Menu', callback_data: 'back_to_main' }]
+      ]);
+
+      await this.bot.sendMessage(chatId, `✅ You'll now get ${this.describeFrequency(user)}.`, keyboard);
+    } catch (error) {
+      console.error('❌ Error in handleSetFrequency:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    }
+  }
+
+  async handlePauseMenu(chatId) {
+    const keyboard = this.createKeyboard([
+      [
+        { text: '1 day', callback_data: 'pause_1' },
+        { text: '3 days', callback_data: 'pause_3' },
+        { text: '1 week', callback_data: 'pause_7' },
+        { text: '2 weeks', callback_data: 'pause_14' }
+      ],
+      [{ text: '⏸ Until I resume', callback_data: 'pause_0' }],
+      [{ text: '⚙️ Back to Settings', callback_data: 'settings' }]
+    ]);
+
+    await this.bot.sendMessage(chatId, '⏸ Pause Lessons\n\nHow long should I hold your lessons?', keyboard);
+  }
+
+  // days = 0 pauses until /resume
+  async handlePause(chatId, userId, days) {
+    console.log(`⏸️ Handling pause request for user ${userId} (${days || 'indefinite'} days)`);
+
+    try {
+      const user = await database.getUser(userId.toString());
+      if (!user) {
+        await this.bot.sendMessage(chatId, '❌ User not found. Please use /start first.');
+        return;
+      }
+
+      let confirmMessage;
+      if (days > 0) {
+        const pausedUntil = toSqlDate(new Date(Date.now() + days * 24 * 60 * 60 * 1000));
+        await database.deactivateUser(userId.toString(), 'paused', pausedUntil);
+        const label = days === 1 ? '1 day' : `${days} days`;
+        confirmMessage = `⏸ Lessons paused for ${label}. They'll start again automatically — or send /resume any time.`;
+      } else {
+        await database.deactivateUser(userId.toString(), 'paused');
+        confirmMessage = '⏸ Lessons paused. Send /resume whenever you want them back.';
+      }
+
+      const keyboard = this.createKeyboard([
+        [{ text: '▶️ Resume now', callback_data: 'resume' }],
+        [{ text: '🏠 Main Menu', callback_data: 'back_to_main' }]
+      ]);
+
+      await this.bot.sendMessage(chatId, confirmMessage, keyboard);
+    } catch (error) {
+      console.error('❌ Error in handlePause:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    }
+  }
+
+  async handleResume(chatId, userId) {
+    console.log(`▶️ Handling resume request for user ${userId}`);
+
+    try {
+      const user = await database.getUser(userId.toString());
+      if (!user) {
+        await this.bot.sendMessage(chatId, '❌ User not found. Please use /start first.');
+        return;
+      }
+
+      await database.reactivateUser(userId.toString());
+
+      const keyboard = this.createKeyboard([
+        [{ text: '🏠 Main Menu', callback_data: 'back_to_main' }]
+      ]);
+
+      await this.bot.sendMessage(chatId, `▶️ Welcome back! Your next lesson arrives at ${this.describeSchedule(user)}.`, keyboard);
+    } catch (error) {
+      console.error('❌ Error in handleResume:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    }
+  }
+
+  async handleStopConfirm(chatId, userId) {
+    console.log(`🛑 Handling stop request for user ${userId}`);
+
+    const keyboard = this.createKeyboard([
+      [
+        { text: '🛑 Yes, stop lessons', callback_data: 'stop' },
+        { text: '⏸ Just pause', callback_data: 'pause_menu' }
+      ],
+      [{ text: '🏠 Main Menu', callback_data: 'back_to_main' }]
+    ]);
+
+    await this.bot.sendMessage(chatId, '🛑 Stop all lessons? You can come back any time with /start.', keyboard);
+  }
+
+  async handleStop(chatId, userId) {
+    try {
+      await database.deactivateUser(userId.toString(), 'stopped');
+      await this.bot.sendMessage(chatId, '👋 You are unsubscribed and won\'t get any more lessons. Send /start to come back any time.');
+    } catch (error) {
+      console.error('❌ Error in handleStop:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    }
+  }
+
+  async handleTimezoneCommand(msg, timezone) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    if (!timezone) {
+      await this.handleTimezoneMenu(chatId, userId);
+      return;
+    }
+
+    if (!isValidTimezone(timezone)) {
+      await this.bot.sendMessage(chatId, `❌ "${timezone}" is not a timezone I know. Try a name like Europe/Moscow or America/New_York.`);
+      return;
+    }
+
+    await this.handleSetSchedule(chatId, userId, { timezone });
+  }
+
+  async handleSetSchedule(chatId, userId, { timezone, deliveryHour }) {
+    console.log(`🕐 Handling schedule change for user ${userId}:`, { timezone, deliveryHour });
+
+    try {
+      if (timezone !== undefined && !isValidTimezone(timezone)) {
+        throw new Error(`Invalid timezone: ${timezone}`);
+      }
+      if (deliveryHour !== undefined && !(deliveryHour >= 0 && deliveryHour <= 23)) {
+        throw new Error(`Invalid delivery hour: ${deliveryHour}`);
+      }
+
+      await database.updateUserSchedule(userId.toString(), { timezone, deliveryHour });
+      const user = await database.getUser(userId.toString());
+
+      const keyboard = this.createKeyboard([
+        [{ text: '⚙️ Back to Settings', callback_data: 'settings' }],
+        [{ text: '🏠 Main Menu', callback_data: 'back_to_main' }]
+      ]);
+
+      await this.bot.sendMessage(chatId, `✅ Your daily lesson will arrive at ${this.describeSchedule(user)}.`, keyboard);
+    } catch (error) {
+      console.error('❌ Error in handleSetSchedule:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    }
+  }
+
+  async handleMessage(msg) {
+    console.log(`📝 User text message: ${msg.text}`);
+
+    if (this.pendingDraftEdit && this.isAdmin(msg.from.id)) {
+      await this.handleDraftEdit(msg);
+      return;
+    }
+
+    // While the quiz waits for a translation, any text is the answer (even a wrong-script one)
+    if (exercises.isAwaitingText(msg.from.id.toString())) {
+      await this.handleQuizTranslation(msg);
+      return;
+    }
+
+    const hasCyrillicScript = /[\u0400-\u04FF]/.test(msg.text);
+
+    if (hasCyrillicScript) {
+      await this.handlePracticeAttempt(msg);
+      return;
+    }
+
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const displayName = msg.from.first_name || msg.from.username || 'User';
+
+    try {
+      await database.createUser(userId.toString(), displayName);
+      await this.bot.sendMessage(chatId, this.welcomeMessage(), this.mainMenuKeyboard());
+    } catch (error) {
+      console.error('❌ Error in handleMessage:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    }
+  }
+
+  // Show the next due review card (Russian side only)
+  async handleReview(chatId, userId) {
+    console.log(`🔁 Handling review request for user ${userId}`);
+
+    try {
+      await database.seedReviewItems(userId.toString(), config.REVIEW.FIRST_REVIEW_DAYS);
+      const item = await database.getNextDueReview(userId.toString());
+
+      if (!item) {
+        const keyboard = this.createKeyboard([
+          [{ text: '🏠 Main Menu', callback_data: 'back_to_main' }]
+        ]);
+        await this.bot.sendMessage(chatId, '🎉 All caught up — no sentences are due for review right now.', keyboard);
+        return;
+      }
+
+      const [dueCount] = await database.getDueReviewCounts(userId.toString());
+      const remaining = dueCount ? dueCount.due_count : 1;
+
+      const cardMessage =
+        `🔁 Review (${remaining} due)\n\n` +
+        `📝 ${item.russian_text}\n\n` +
+        `Do you remember what it means?`;
+
+      const keyboard = this.createKeyboard([
+        [{ text: '👀 Show answer', callback_data: `review_show_${item.id}` }]
+      ]);
+
+      await this.bot.sendMessage(chatId, cardMessage, keyboard);
+    } catch (error) {
+      console.error('❌ Error in handleReview:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    }
+  }
+
+  async handleReviewShow(chatId, userId, reviewId) {
+    const item = await database.getReviewItem(reviewId, userId.toString());
+    if (!item) {
+      await this.bot.sendMessage(chatId, '❌ That review card is no longer available.');
+      return;
+    }
+
+    const answerMessage =
+      `📝 ${item.russian_text}${formatTransliteration(item.russian_text)}\n\n` +
+      `🔤 ${item.english_translation}` +
+      `${formatWordBreakdown(item.word_breakdown).trimEnd()}\n\n` +
+      `How well did you remember it?`;
+
+    const keyboard = this.createKeyboard([
+      Object.entries(reviewService.ratings).map(([rating, info]) => ({
+        text: info.label,
+        callback_data: `review_rate_${item.id}_${rating}`
+      }))
+    ]);
+
+    await this.bot.sendMessage(chatId, answerMessage, keyboard);
+  }
+
+  async handleReviewRate(chatId, userId, reviewId, rating) {
+    if (!reviewService.ratings[rating]) {
+      console.error(`❌ Unknown review rating: ${rating}`);
+      return;
+    }
+
+    const item = await database.getReviewItem(reviewId, userId.toString());
+    if (!item) {
+      await this.bot.sendMessage(chatId, '❌ That review card is no longer available.');
+      return;
+    }
+
+    const next = reviewService.schedule(item, rating);
+    await database.updateReviewItem(item.id, { ...next, rating });
+    console.log(`🔁 Review ${item.id} rated ${rating} by user ${userId}, next in ${next.intervalDays} days`);
+
+    await this.bot.sendMessage(chatId, `🗓 You'll see this one again ${reviewService.describeInterval(next.intervalDays)}.`);
+    await this.handleReview(chatId, userId);
+  }
+
+  // Grade a sentence the user typed back against the last lesson they were sent
+  async handlePracticeAttempt(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    console.log(`🇷🇺 Grading practice attempt from user ${userId}`);
+
+    try {
+      const user = await database.getUser(userId.toString());
+      if (!user) {
+        await this.bot.sendMessage(chatId, '❌ User not found. Please use /start first.');
+        return;
+      }
+
+      const sentence = await database.getLastDelivery(userId.toString());
+      if (!sentence) {
+        await this.bot.sendMessage(chatId, '📭 No lesson to compare with yet — your first sentence is on its way!');
+        return;
+      }
+
+      const result = gradingService.gradeAttempt(sentence.russian_text, msg.text);
+      await database.saveUserProgress(userId.toString(), sentence.id, msg.text, result.score, result.isCorrect);
+
+      const feedback =
+        `${result.emoji} ${result.label} — ${result.score}/100\n\n` +
+        `${gradingService.formatDiff(result)}\n\n` +
+        `📝 Lesson sentence:\n${sentence.russian_text}`;
+
+      await this.bot.sendMessage(chatId, feedback);
+      await this.suggestLevelChange(chatId, user);
+    } catch (error) {
+      console.error('❌ Error in handlePracticeAttempt:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    }
+  }
+
+  // Spoken practice: transcribe the voice note and compare it with the last lesson sentence
+  async handleVoiceAttempt(msg) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    console.log(`🎙 Grading voice attempt from user ${userId}`);
+
+    try {
+      if (!speechService.isEnabled()) {
+        await this.bot.sendMessage(chatId, '🎙 Voice practice isn\'t available right now — type the sentence in Russian instead.');
+        return;
+      }
+
+      const user = await database.getUser(userId.toString());
+      if (!user) {
+        await this.bot.sendMessage(chatId, '❌ User not found. Please use /start first.');
+        return;
+      }
+
+      const sentence = await database.getLastDelivery(userId.toString());
+      if (!sentence) {
+        await this.bot.sendMessage(chatId, '📭 No lesson to compare with yet — your first sentence is on its way!');
+        return;
+      }
+
+      if (msg.voice.duration > config.STT.MAX_DURATION_SECONDS) {
+        await this.bot.sendMessage(chatId, `⏱ Please keep voice notes under ${config.STT.MAX_DURATION_SECONDS} seconds — just say the lesson sentence.`);
+        return;
+      }
+
+      const transcript = await speechService.transcribeVoice(dir => this.bot.downloadFile(msg.voice.file_id, dir));
+      if (!transcript) {
+        await this.bot.sendMessage(chatId, '🤔 I couldn\'t make out any words. Try again a little closer to the microphone.');
+        return;
+      }
+
+      const result = gradingService.gradeAttempt(sentence.russian_text, transcript);
+      await database.saveUserProgress(userId.toString(), sentence.id, transcript, result.score, result.isCorrect, 'voice');
+
+      const feedback =
+        `🎙 I heard: ${transcript}\n\n` +
+        `${result.emoji} ${result.label} — ${result.score}/100\n\n` +
+        `${gradingService.formatSpeechDiff(result)}\n\n` +
+        `📝 Lesson sentence:\n${sentence.russian_text}`;
+
+      await this.bot.sendMessage(chatId, feedback);
+      await this.suggestLevelChange(chatId, user);
+    } catch (error) {
+      console.error('❌ Error in handleVoiceAttempt:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, I couldn\'t process that voice message. Please try again.');
+    }
+  }
+
+  // Voice message after a lesson; missing audio never holds up the text lesson
+  async sendLessonAudio(chatId, user, sentenceId, russianText) {
+    if (user.audio_enabled === 0) return;
+
+    try {
+      const audioPath = await audioService.getLessonAudio(sentenceId, russianText);
+      if (audioPath) {
+        await audioService.sendVoice(audioPath, input =>
+          this.bot.sendVoice(chatId, input, { caption: '🔊 Listen and repeat' })
+        );
+      }
+    } catch (error) {
+      console.error('❌ Error sending lesson audio:', error.message);
+    }
+  }
+
+  // Sends a lesson straight away (outside the queue) and records the delivery.
+  // Throws if Telegram refuses the message; the delivery is then recorded as failed.
+  async sendLesson(chatId, user, { lesson, sentenceId, kind, title }) {
+    const message = `${title}
+
+📝 Russian Sentence:
+${lesson.russian_text}${formatTransliteration(lesson.russian_text)}
+
+🔤 English Translation:
+${lesson.english_translation}
+
+Try typing the sentence back in Russian!${formatWordBreakdown(lesson.word_breakdown)}
+
+Practice writing the Russian sentence!`;
+
+    exercises.stop(user.telegram_user_id);
+    try {
+      await this.bot.sendMessage(chatId, message, this.createKeyboard([
+        [{ text: '🧠 Quiz me', callback_data: `quiz_start_${sentenceId}` }]
+      ]));
+    } catch (error) {
+      await database.createDelivery(user.telegram_user_id, sentenceId, kind, 'failed');
+      throw error;
+    }
+    await database.createDelivery(user.telegram_user_id, sentenceId, kind, 'sent');
+    await vocabulary.addSentenceWords(user.telegram_user_id, { ...lesson, id: sentenceId });
+
+    await this.sendLessonAudio(chatId, user, sentenceId, lesson.russian_text);
+  }
+
+  async sendImmediateSentence(chatId, userId) {
+    try {
+      const user = await database.getUser(userId.toString());
+      if (!user) {
+        console.error('❌ User not found for immediate sentence');
+        return;
+      }
+
+      const sentenceData = await this.generateSentence(user.difficulty_level);
+      const sentenceId = await database.saveSentence(sentenceData, user.difficulty_level);
+
+      console.log(`📤 Sending immediate lesson to user ${userId}`);
+      await this.sendLesson(chatId, user, {
+        lesson: sentenceData,
+        sentenceId,
+        kind: 'welcome',
+        title: '🇷🇺 Your First Russian Lesson'
+      });
+      console.log(`✅ Immediate sentence sent to user ${userId}`);
+    } catch (error) {
+      console.error('❌ Error in sendImmediateSentence:', error);
+    }
+  }
+
+  // /lesson ('resend'): today's main lesson for the user's level again.
+  // /next ('on_demand'): an extra fresh sentence, capped per local day since each one costs an LLM call.
+  async handleLessonRequest(chatId, userId, kind) {
+    const telegramUserId = userId.toString();
+    console.log(`📖 Handling ${kind} lesson request for user ${userId}`);
+
+    if (this.lessonRequests.has(telegramUserId)) {
+      await this.bot.sendMessage(chatId, '⏳ Your lesson is on its way — just a moment.');
+      return;
+    }
+
+    this.lessonRequests.add(telegramUserId);
+    try {
+      const user = await database.getUser(telegramUserId);
+      if (!user) {
+        await this.bot.sendMessage(chatId, '❌ User not found. Please use /start first.');
+        return;
+      }
+
+      const level = user.difficulty_level;
+      if (kind === 'resend') {
+        const released = await lessonDrafts.getReleasedLesson(level, 0);
+        if (!released) {
+          await this.bot.sendMessage(chatId, '😕 Today\'s lesson isn\'t ready yet. Please try again in a little while.');
+          return;
+        }
+
+        await this.sendLesson(chatId, user, {
+          lesson: released.lesson,
+          sentenceId: released.sentenceId,
+          kind,
+          title: '🇷🇺 Today\'s Russian Lesson'
+        });
+        return;
+      }
+
+      const limit = config.ON_DEMAND.DAILY_LIMIT;
+      const since = toSqlDate(getStartOfLocalDay(user.timezone));
+      const used = await database.countSentDeliveries(telegramUserId, kind, since);
+      if (used >= limit) {
+        await this.bot.sendMessage(
+          chatId,
+          `🌙 That's all ${limit} extra lesson${limit === 1 ? '' : 's'} for today. More tomorrow — or use /review to go over past sentences.`
+        );
+        return;
+      }
+
+      const lesson = await lessonDrafts.generate(level, 0);
+      if (!lesson) {
+        await this.bot.sendMessage(chatId, '😕 I couldn\'t find a new sentence right now. Please try again later.');
+        return;
+      }
+
+      const sentenceId = await database.saveSentence(lesson, level);
+      const remaining = limit - used - 1;
+      await this.sendLesson(chatId, user, {
+        lesson,
+        sentenceId,
+        kind,
+        title: `🇷🇺 Extra Russian Lesson (${remaining > 0 ? `${remaining} more today` : 'last one today'})`
+      });
+    } catch (error) {
+      console.error('❌ Error in handleLessonRequest:', error);
+      await this.bot.sendMessage(chatId, '❌ Sorry, something went wrong. Please try again.');
+    } finally {
+      this.lessonRequests.delete(telegramUserId);
+    }
+  }
+
+  async generateSentence(difficultyLevel) {
+    try {
+      return await deepseekService.generateRussianSentence(difficultyLevel);
+    } catch (error) {
+      console.error('❌ Error generating sentence:', error);
+      const bankSentence = await sentenceBank.getFallbackSentence(difficultyLevel);
+      if (bankSentence) {
+        return bankSentence;
+      }
+
+      // Last resort when the bank has nothing unused for this level
+      const fallbackSentences = {
+        1: {
+          russian_text: 'Добрый день! Как дела?',
+          english_translation: 'Good day! How are you?',
           word_breakdown: [
             { word: 'Добрый', meaning: 'good', pronunciation: 'dobryy' },
             { word: 'день', meaning: 'day', pronunciation: 'den\'' },
@@ -405,31 +2174,6 @@ Practice writing the Russian sentence!`;
       return fallbackSentences[difficultyLevel] || fallbackSentences[1];
     }
   }
-
-  async saveSentence(sentenceData, difficultyLevel) {
-    return new Promise((resolve, reject) => {
-      const query = `
-        INSERT INTO sentences (russian_text, english_translation, difficulty_level, word_breakdown)
-        VALUES (?, ?, ?, ?)
-      `;
-
-      const wordBreakdown = JSON.stringify(sentenceData.word_breakdown || []);
-
-      database.db.run(query, [
-        sentenceData.russian_text,
-        sentenceData.english_translation,
-        difficultyLevel,
-        wordBreakdown
-      ], function(err) {
-        if (err) {
-          console.error('❌ Error saving sentence:', err);
-          reject(err);
-        } else {
-          resolve(this.lastID);
-        }
-      });
-    });
-  }
 }
 
 module.exports = TelegramBotHandler;
@@ -0,0 +1,27 @@
+// runCommand must survive children that exit without reading stdin (EPIPE on the pipe)
+const test = require('node:test');
+const assert = require('node:assert');
+const { runCommand } = require('../src/services/command');
+
+const BIG_INPUT = 'а'.repeat(4 * 1024 * 1024);
+
+test('resolves with stdout when the command succeeds', async () => {
+  assert.strictEqual(await runCommand('cat', [], { input: 'привет' }), 'привет');
+});
+
+test('rejects with the exit code when the child exits early without reading input', async () => {
+  await assert.rejects(runCommand('false', [], { input: 'short' }), /exited with code 1/);
+  await assert.rejects(runCommand('false', [], { input: BIG_INPUT }), /exited with code 1/);
+});
+
+test('a child that exits 0 without reading a large input still resolves', async () => {
+  assert.strictEqual(await runCommand('true', [], { input: BIG_INPUT }), '');
+});
+
+test('rejects when the binary does not exist', async () => {
+  await assert.rejects(runCommand('definitely-not-a-binary', []), /failed to start/);
+});
+
+test('kills the child and rejects after the timeout', async () => {
+  await assert.rejects(runCommand('sleep', ['5'], { timeoutMs: 100 }), /timed out after 100ms/);
+});
@@ -0,0 +1,61 @@
+// Delivery bookkeeping against an in-memory database
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The database's startup logs on stdout can corrupt the test runner's report stream
+test.mock.method(console, 'log', () => {});
+
+const database = require('../src/database');
+const { getStartOfLocalDay, toSqlDate } = require('../src/services/localTime');
+
+test('a scheduled lesson slot is recorded once per local day', async () => {
+  await database.ready;
+  const first = await database.createScheduledDelivery('10', 1, 0, '2026-11-01');
+  assert.ok(first);
+  assert.strictEqual(await database.createScheduledDelivery('10', 1, 0, '2026-11-01'), null);
+
+  assert.ok(await database.createScheduledDelivery('10', 1, 1, '2026-11-01'));
+  assert.ok(await database.createScheduledDelivery('10', 1, 0, '2026-11-02'));
+  assert.ok(await database.createScheduledDelivery('11', 1, 0, '2026-11-01'));
+});
+
+test('the last delivery is the last lesson actually sent, not one still queued or failed', async () => {
+  await database.ready;
+  const first = await database.saveSentence({ russian_text: 'Кот спит.', english_translation: 'The cat sleeps.', word_breakdown: [] }, 1);
+  const second = await database.saveSentence({ russian_text: 'Мама читает.', english_translation: 'Mom reads.', word_breakdown: [] }, 1);
+
+  assert.strictEqual(await database.getLastDelivery('20'), undefined);
+  const sentId = await database.createDelivery('20', first, 'daily');
+  await database.updateDeliveryStatus(sentId, 'sent');
+  await database.createDelivery('20', second, 'daily');
+  await database.createDelivery('20', second, 'on_demand', 'failed');
+
+  const last = await database.getLastDelivery('20');
+  assert.strictEqual(last.delivery_id, sentId);
+  assert.strictEqual(last.russian_text, 'Кот спит.');
+});
+
+test('the /next cap counts only on-demand lessons sent since local midnight', async () => {
+  await database.ready;
+  const since = toSqlDate(getStartOfLocalDay('Asia/Tokyo'));
+
+  await database.createDelivery('30', 1, 'on_demand', 'sent');
+  await database.createDelivery('30', 1, 'on_demand', 'sent');
+  await database.createDelivery('30', 1, 'on_demand', 'failed');
+  await database.createDelivery('30', 1, 'on_demand', 'queued');
+  await database.createDelivery('30', 1, 'daily', 'sent');
+  const yesterday = await database.createDelivery('30', 1, 'on_demand', 'sent');
+  await new Promise((resolve, reject) => {
+    database.db.run(
+      'UPDATE deliveries SET sent_at = ? WHERE id = ?',
+      [toSqlDate(new Date(new Date(`${since.replace(' ', 'T')}Z`).getTime() - 60 * 60 * 1000)), yesterday],
+      err => (err ? reject(err) : resolve())
+    );
+  });
+
+  assert.strictEqual(await database.countSentDeliveries('30', 'on_demand', since), 2);
+  assert.strictEqual(await database.countSentDeliveries('30', 'daily', since), 1);
+  assert.strictEqual(await database.countSentDeliveries('31', 'on_demand', since), 0);
+});
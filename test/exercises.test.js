@@ -0,0 +1,65 @@
+// Quiz sessions expire, and buttons from another quiz or an earlier step are rejected
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The database's startup logs on stdout can corrupt the test runner's report stream
+test.mock.method(console, 'log', () => {});
+
+const database = require('../src/database');
+const exercises = require('../src/services/exercises');
+
+async function startQuiz(telegramUserId) {
+  await database.ready;
+  const sentenceId = await database.saveSentence({
+    russian_text: 'Я пью чай утром.',
+    english_translation: 'I drink tea in the morning.',
+    word_breakdown: [
+      { word: 'Я', meaning: 'I' },
+      { word: 'пью', meaning: 'drink' },
+      { word: 'чай', meaning: 'tea' },
+      { word: 'утром', meaning: 'in the morning' }
+    ]
+  }, 2);
+  return exercises.start(telegramUserId, sentenceId);
+}
+
+test('a button only matches the current session and step', async () => {
+  const session = await startQuiz('1');
+  assert.strictEqual(exercises.getSession('1', session.id, 0), session);
+  assert.strictEqual(exercises.getSession('1', session.id, 1), null);
+  assert.strictEqual(exercises.getSession('1', session.id + 1, 0), null);
+
+  const restarted = await startQuiz('1');
+  assert.strictEqual(await exercises.choose('1', session.id, 0, 0), null);
+  assert.strictEqual(exercises.getSession('1', restarted.id, 0), restarted);
+});
+
+test('an exercise is scored once even if the button is tapped twice', async () => {
+  const session = await startQuiz('2');
+  const exercise = exercises.getCurrent(session);
+  const taps = await Promise.all([
+    exercises.choose('2', session.id, 0, exercise.answerIndex),
+    exercises.choose('2', session.id, 0, exercise.answerIndex)
+  ]);
+  assert.strictEqual(taps.filter(Boolean).length, 1);
+});
+
+test('expired sessions are dropped and stop waiting for a translation', async () => {
+  const session = await startQuiz('3');
+  session.index = session.steps.findIndex(step => step.type === 'translate');
+  assert.strictEqual(exercises.isAwaitingText('3'), true);
+
+  session.expiresAt = Date.now() - 1;
+  assert.strictEqual(exercises.isAwaitingText('3'), false);
+  assert.strictEqual(exercises.sessions.has('3'), false);
+});
+
+test('stop ends the quiz so the next message is not taken as an answer', async () => {
+  const session = await startQuiz('4');
+  session.index = session.steps.findIndex(step => step.type === 'translate');
+  exercises.stop('4');
+  assert.strictEqual(exercises.isAwaitingText('4'), false);
+  assert.strictEqual(await exercises.answerText('4', 'Я пью чай утром'), null);
+});
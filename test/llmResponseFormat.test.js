@@ -0,0 +1,67 @@
+// Checks that the lesson schema we send with OpenAI structured outputs is one strict mode accepts
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const OpenAICompatibleProvider = require('../src/services/llm/openaiCompatible');
+const fixtures = require('../src/services/llm/fixtures');
+const { MODEL_LESSON_SCHEMA, validateLesson } = require('../src/services/lessonSchema');
+
+// Keywords OpenAI rejects with strict: true
+const UNSUPPORTED_KEYWORDS = ['minLength', 'maxLength', 'minItems', 'maxItems', 'pattern', 'format', 'default'];
+
+// Strict mode: every object lists all of its properties in `required` and forbids extra ones
+function strictModeProblems(schema, path = '$') {
+  const problems = UNSUPPORTED_KEYWORDS
+    .filter(keyword => keyword in schema)
+    .map(keyword => `${path}: "${keyword}" is not supported`);
+
+  if (schema.type === 'object') {
+    const properties = Object.keys(schema.properties || {});
+    const required = schema.required || [];
+    properties
+      .filter(property => !required.includes(property))
+      .forEach(property => problems.push(`${path}.${property}: missing from required`));
+    if (schema.additionalProperties !== false) {
+      problems.push(`${path}: additionalProperties must be false`);
+    }
+    properties.forEach(property => problems.push(...strictModeProblems(schema.properties[property], `${path}.${property}`)));
+  }
+  if (schema.type === 'array' && schema.items) {
+    problems.push(...strictModeProblems(schema.items, `${path}[]`));
+  }
+  return problems;
+}
+
+test('openai json_schema request uses a strict-mode compatible lesson schema', async (t) => {
+  let body = null;
+  t.mock.method(axios, 'post', async (url, requestBody) => {
+    body = requestBody;
+    return { data: { choices: [{ message: { content: JSON.stringify(fixtures[1][0]) } }] } };
+  });
+
+  const provider = new OpenAICompatibleProvider({
+    name: 'openai',
+    apiUrl: 'https://api.openai.com/v1/chat/completions',
+    apiKey: 'test',
+    model: 'gpt-4o-mini',
+    structuredOutput: 'json_schema'
+  });
+  await provider.complete({ messages: [{ role: 'user', content: 'lesson' }], jsonSchema: MODEL_LESSON_SCHEMA });
+
+  const format = body.response_format;
+  assert.strictEqual(format.type, 'json_schema');
+  assert.strictEqual(format.json_schema.strict, true);
+  assert.deepStrictEqual(strictModeProblems(format.json_schema.schema), []);
+});
+
+test('lessons shaped like the model schema still pass local validation', () => {
+  for (const lessons of Object.values(fixtures)) {
+    for (const lesson of lessons) {
+      const modelLesson = {
+        ...lesson,
+        word_breakdown: lesson.word_breakdown.map(({ word, meaning }) => ({ word, meaning }))
+      };
+      assert.deepStrictEqual(validateLesson(modelLesson), [], lesson.russian_text);
+    }
+  }
+});
@@ -0,0 +1,114 @@
+// Message queue: error classification, rate limiting and restart recovery
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The database's startup logs on stdout can corrupt the test runner's report stream
+test.mock.method(console, 'log', () => {});
+
+const config = require('../src/config');
+const database = require('../src/database');
+const messageQueue = require('../src/messageQueue');
+
+// Each test gets its own queue; the module only exports the shared instance
+function createQueue() {
+  return new messageQueue.constructor();
+}
+
+function telegramError(errorCode, parameters = undefined) {
+  const error = new Error(`ETELEGRAM: ${errorCode}`);
+  error.response = { body: { ok: false, error_code: errorCode, parameters } };
+  return error;
+}
+
+test('classifyError sorts Telegram failures by what should happen next', () => {
+  const queue = createQueue();
+  assert.deepStrictEqual(queue.classifyError(telegramError(429, { retry_after: 7 })), { type: 'rate_limited', retryAfter: 7 });
+  assert.deepStrictEqual(queue.classifyError(telegramError(429)), { type: 'rate_limited', retryAfter: 1 });
+  assert.deepStrictEqual(queue.classifyError(telegramError(403)), { type: 'blocked' });
+  assert.deepStrictEqual(queue.classifyError(telegramError(400)), { type: 'permanent' });
+  assert.deepStrictEqual(queue.classifyError(telegramError(502)), { type: 'transient' });
+  assert.deepStrictEqual(queue.classifyError(new Error('socket hang up')), { type: 'transient' });
+});
+
+test('the token bucket refills at the global rate and caps at the burst size', () => {
+  const queue = createQueue();
+  queue.tokens = 0;
+  queue.lastRefill = 1000;
+
+  queue.refillTokens(1100);
+  assert.strictEqual(queue.tokens, 0.1 * config.MESSAGE_QUEUE.GLOBAL_PER_SECOND);
+
+  queue.refillTokens(61000);
+  assert.strictEqual(queue.tokens, config.MESSAGE_QUEUE.BURST);
+});
+
+test('one tick sends at most a burst of messages and one per chat', (t) => {
+  const queue = createQueue();
+  const sent = [];
+  t.mock.method(queue, 'sendMessageWithRetry', async item => sent.push(item.chatId));
+
+  const chats = [1, 1, 2, 3, 4, 5, 6, 7];
+  queue.queue = chats.map(chatId => ({ chatId, message: 'hi', retries: 0 }));
+  queue.processQueue();
+
+  assert.deepStrictEqual(sent, [1, 2, 3, 4, 5]);
+  assert.deepStrictEqual(queue.queue.map(item => item.chatId), [1, 6, 7]);
+  assert.ok(queue.tokens < 1);
+});
+
+test('a 429 pauses all sends for retry_after seconds without using up a retry', async (t) => {
+  const queue = createQueue();
+  queue.setBot({
+    sendMessage: async () => {
+      throw telegramError(429, { retry_after: 30 });
+    }
+  });
+  t.after(() => queue.stopProcessing());
+
+  const item = { id: null, chatId: 42, type: 'text', message: 'hi', options: {}, retries: 0, maxRetries: 3 };
+  const before = Date.now();
+  await queue.sendMessageWithRetry(item);
+
+  assert.strictEqual(item.retries, 0);
+  assert.strictEqual(queue.stats.rateLimited, 1);
+  assert.strictEqual(queue.stats.lastRetryAfter, 30);
+  assert.ok(queue.pausedUntil >= before + 30000);
+  assert.strictEqual(item.nextAttemptAt, queue.pausedUntil);
+  assert.deepStrictEqual(queue.queue, [item]);
+
+  // Nothing goes out while paused, even to other chats with tokens to spare
+  const send = t.mock.method(queue, 'sendMessageWithRetry', async () => {});
+  queue.queue.push({ chatId: 43, message: 'hi', retries: 0 });
+  queue.processQueue();
+  assert.strictEqual(send.mock.callCount(), 0);
+});
+
+test('queued messages are persisted and picked up again by resume()', async (t) => {
+  await database.ready;
+  const before = createQueue();
+  before.pause(); // Hold sending so the item is still pending when the "restart" happens
+  t.after(() => before.stopProcessing());
+  const deliveryId = await database.createDelivery('77', 1, 'daily');
+  const added = await before.addMessage(77, 'Привет!', { parse_mode: 'HTML' }, { deliveryId });
+  assert.ok(added.id);
+
+  // A new process finds the message in SQLite
+  const after = createQueue();
+  t.after(() => after.stopProcessing());
+  await after.resume();
+  const resumed = after.queue.find(item => item.id === added.id);
+  assert.ok(resumed);
+  assert.strictEqual(resumed.chatId, 77);
+  assert.strictEqual(resumed.message, 'Привет!');
+  assert.deepStrictEqual(resumed.options, { parse_mode: 'HTML' });
+  assert.strictEqual(resumed.deliveryId, deliveryId);
+
+  // Once sent it isn't resumed again, and the delivery counts as sent
+  after.setBot({ sendMessage: async () => ({}) });
+  await after.sendMessageWithRetry(resumed);
+  const unsent = await database.getUnsentQueueItems();
+  assert.ok(!unsent.some(row => row.id === added.id));
+  assert.strictEqual(await database.countSentDeliveries('77', 'daily', '2000-01-01 00:00:00'), 1);
+});
@@ -0,0 +1,62 @@
+// Practice streaks are counted in local calendar days of the user's timezone
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The database's startup logs on stdout can corrupt the test runner's report stream
+test.mock.method(console, 'log', () => {});
+
+const database = require('../src/database');
+const progressStats = require('../src/services/progressStats');
+
+// 12:00 on Monday 2026-10-19 in Tokyo
+const NOW = new Date('2026-10-19T03:00:00Z');
+
+async function practiceAt(telegramUserId, ...isoTimes) {
+  await database.ready;
+  for (const iso of isoTimes) {
+    const createdAt = iso.replace('T', ' ').slice(0, 19);
+    await new Promise((resolve, reject) => {
+      database.db.run(
+        'INSERT INTO user_progress (telegram_user_id, sentence_id, user_response, grade, is_correct, created_at) VALUES (?, 1, ?, 80, 1, ?)',
+        [telegramUserId, 'Привет', createdAt],
+        err => (err ? reject(err) : resolve())
+      );
+    });
+  }
+}
+
+async function streaksFor(telegramUserId, timezone = 'Asia/Tokyo') {
+  const stats = await progressStats.getStats({ telegram_user_id: telegramUserId, timezone }, NOW);
+  return { current: stats.currentStreak, longest: stats.longestStreak };
+}
+
+test('consecutive days up to today make the current streak', async () => {
+  await practiceAt('1', '2026-10-17T01:00:00Z', '2026-10-18T01:00:00Z', '2026-10-19T01:00:00Z', '2026-10-19T02:00:00Z');
+  assert.deepStrictEqual(await streaksFor('1'), { current: 3, longest: 3 });
+});
+
+test('not having practised yet today keeps the streak from yesterday', async () => {
+  await practiceAt('2', '2026-10-17T01:00:00Z', '2026-10-18T01:00:00Z');
+  assert.deepStrictEqual(await streaksFor('2'), { current: 2, longest: 2 });
+});
+
+test('a missed day ends the current streak but not the longest one', async () => {
+  await practiceAt('3',
+    '2026-10-10T01:00:00Z', '2026-10-11T01:00:00Z', '2026-10-12T01:00:00Z', '2026-10-13T01:00:00Z',
+    '2026-10-16T01:00:00Z'
+  );
+  assert.deepStrictEqual(await streaksFor('3'), { current: 0, longest: 4 });
+});
+
+test('days are split at local midnight, not UTC midnight', async () => {
+  // Tokyo: 05:00 on the 17th and 01:00 on the 18th; UTC: the 16th and the 17th
+  await practiceAt('4', '2026-10-16T20:00:00Z', '2026-10-17T16:00:00Z');
+  assert.deepStrictEqual(await streaksFor('4', 'Asia/Tokyo'), { current: 2, longest: 2 });
+  assert.deepStrictEqual(await streaksFor('4', 'UTC'), { current: 0, longest: 2 });
+});
+
+test('no practice at all means no streak', async () => {
+  assert.deepStrictEqual(await streaksFor('5'), { current: 0, longest: 0 });
+});
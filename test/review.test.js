@@ -0,0 +1,48 @@
+// SM-2 scheduling for /review cards
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config');
+const review = require('../src/services/review');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+test('correct answers grow the interval from 1 to 6 days, then by the ease factor', () => {
+  const first = review.schedule({}, 'good', NOW);
+  assert.deepStrictEqual(first, { easeFactor: 2.5, repetitions: 1, intervalDays: 1, dueAt: '2026-10-20 12:00:00' });
+
+  const second = review.schedule({ ease_factor: 2.5, repetitions: 1, interval_days: 1 }, 'good', NOW);
+  assert.strictEqual(second.intervalDays, 6);
+  assert.strictEqual(second.repetitions, 2);
+
+  const third = review.schedule({ ease_factor: 2.5, repetitions: 2, interval_days: 6 }, 'good', NOW);
+  assert.strictEqual(third.intervalDays, 15);
+  assert.strictEqual(third.dueAt, '2026-11-03 12:00:00');
+});
+
+test('the rating moves the ease factor: easy up, hard down', () => {
+  const item = { ease_factor: 2.5, repetitions: 2, interval_days: 6 };
+  assert.strictEqual(review.schedule(item, 'easy', NOW).easeFactor, 2.6);
+  assert.strictEqual(review.schedule(item, 'hard', NOW).easeFactor, 2.36);
+  // Hard still counts as remembered
+  assert.strictEqual(review.schedule(item, 'hard', NOW).repetitions, 3);
+});
+
+test('again resets the card and brings it back within minutes', () => {
+  const result = review.schedule({ ease_factor: 2.5, repetitions: 4, interval_days: 30 }, 'again', NOW);
+  assert.strictEqual(result.repetitions, 0);
+  assert.strictEqual(result.intervalDays, 0);
+  assert.strictEqual(result.easeFactor, 1.96);
+
+  const relearnAt = new Date(NOW.getTime() + config.REVIEW.RELEARN_MINUTES * 60 * 1000);
+  assert.strictEqual(result.dueAt, relearnAt.toISOString().replace('T', ' ').slice(0, 19));
+});
+
+test('the ease factor never drops below 1.3', () => {
+  assert.strictEqual(review.schedule({ ease_factor: 1.4, repetitions: 3, interval_days: 10 }, 'again', NOW).easeFactor, 1.3);
+});
+
+test('describeInterval words the next review time', () => {
+  assert.strictEqual(review.describeInterval(0), `in ${config.REVIEW.RELEARN_MINUTES} minutes`);
+  assert.strictEqual(review.describeInterval(1), 'tomorrow');
+  assert.strictEqual(review.describeInterval(6), 'in 6 days');
+});
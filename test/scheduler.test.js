@@ -0,0 +1,59 @@
+// Lesson slot hours and which slots are due on an hourly tick, including around DST changes
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The database's startup logs on stdout can corrupt the test runner's report stream
+test.mock.method(console, 'log', () => {});
+
+const Scheduler = require('../src/scheduler');
+const { getLocalTime } = require('../src/services/localTime');
+
+// Skips the constructor, which would start the cron jobs
+const scheduler = Object.create(Scheduler.prototype);
+const NEW_YORK = 'America/New_York';
+
+function dueAt(user, iso) {
+  const now = new Date(iso);
+  return scheduler.getDueSlots(
+    user,
+    getLocalTime(NEW_YORK, now),
+    getLocalTime(NEW_YORK, new Date(now.getTime() - 60 * 60 * 1000))
+  );
+}
+
+test('a slot is due only at its local hour', () => {
+  const user = { delivery_hour: 9, lessons_per_day: 2 };
+  // 2026-10-19 is a Monday; New York is UTC-4
+  assert.deepStrictEqual(dueAt(user, '2026-10-19T13:00:00Z'), [0]);
+  assert.deepStrictEqual(dueAt(user, '2026-10-19T14:00:00Z'), []);
+  assert.deepStrictEqual(dueAt(user, '2026-10-19T19:00:00Z'), [1]);
+});
+
+test('weekdays-only users get nothing at the weekend', () => {
+  const user = { delivery_hour: 9, weekdays_only: 1 };
+  assert.deepStrictEqual(dueAt(user, '2026-10-18T13:00:00Z'), []);
+  assert.deepStrictEqual(dueAt({ ...user, weekdays_only: 0 }, '2026-10-18T13:00:00Z'), [0]);
+});
+
+test('a slot in the hour skipped by spring-forward is sent with the next hour', () => {
+  // 2026-03-08: 01:59 EST is followed by 03:00 EDT
+  const user = { delivery_hour: 2 };
+  assert.deepStrictEqual(dueAt(user, '2026-03-08T06:00:00Z'), []);
+  assert.deepStrictEqual(dueAt(user, '2026-03-08T07:00:00Z'), [0]);
+});
+
+test('the hour repeated by fall-back does not send its slot twice', () => {
+  // 2026-11-01: 01:00 EDT, then 01:00 EST
+  const user = { delivery_hour: 1 };
+  assert.deepStrictEqual(dueAt(user, '2026-11-01T05:00:00Z'), [0]);
+  assert.deepStrictEqual(dueAt(user, '2026-11-01T06:00:00Z'), []);
+});
+
+test('lesson slots stay within the day instead of wrapping past midnight', () => {
+  assert.deepStrictEqual(scheduler.getSlotHours({ delivery_hour: 11, lessons_per_day: 5 }), [11, 13, 15, 17, 19]);
+  assert.deepStrictEqual(scheduler.getSlotHours({ delivery_hour: 20, lessons_per_day: 3 }), [20, 21, 22]);
+  assert.deepStrictEqual(scheduler.getSlotHours({ delivery_hour: 22, lessons_per_day: 5 }), [22, 23]);
+  assert.deepStrictEqual(scheduler.getSlotHours({ delivery_hour: 23, lessons_per_day: 2 }), [23]);
+});
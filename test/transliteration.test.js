@@ -0,0 +1,43 @@
+// Cyrillic transliteration: the three schemes, iotated е/ё and stress marks
+const test = require('node:test');
+const assert = require('node:assert');
+const { transliterate, getScheme } = require('../src/services/transliteration');
+
+test('learner scheme spells Russian in plain ASCII and keeps punctuation', () => {
+  assert.strictEqual(transliterate('Привет, как дела?', 'learner'), 'Privet, kak dela?');
+  assert.strictEqual(transliterate('Жук и щука', 'learner'), 'Zhuk i shchuka');
+  assert.strictEqual(transliterate('объём', 'learner'), 'obyom');
+});
+
+test('е is iotated at the start of a word and after a vowel, й, ъ or ь', () => {
+  assert.strictEqual(transliterate('Ели ель', 'learner'), 'Yeli yel\'');
+  assert.strictEqual(transliterate('поехали', 'learner'), 'poyekhali');
+  assert.strictEqual(transliterate('съел', 'learner'), 'syel');
+  assert.strictEqual(transliterate('пьеса', 'learner'), 'p\'yesa');
+  assert.strictEqual(transliterate('нет', 'learner'), 'net');
+  // Anything that isn't a Cyrillic letter starts a new word
+  assert.strictEqual(transliterate('(ест)', 'learner'), '(yest)');
+});
+
+test('BGN/PCGN iotates ё as well as е', () => {
+  assert.strictEqual(transliterate('ёж', 'bgn'), 'yëzh');
+  assert.strictEqual(transliterate('объём', 'bgn'), 'ob"yëm');
+  assert.strictEqual(transliterate('Хорошо', 'bgn'), 'Khorosho');
+});
+
+test('ISO 9 maps one letter to one letter and never iotates', () => {
+  assert.strictEqual(transliterate('Щука', 'iso9'), 'Ŝuka');
+  assert.strictEqual(transliterate('Юля ест', 'iso9'), 'Ûlâ est');
+  assert.strictEqual(transliterate('ель', 'iso9'), 'elʹ');
+});
+
+test('stress marks stay on the vowel they follow', () => {
+  assert.strictEqual(transliterate('молоко\u0301', 'learner'), 'molokó');
+  assert.strictEqual(transliterate('моя\u0301', 'learner'), 'moyá');
+});
+
+test('unknown schemes fall back to the learner scheme', () => {
+  assert.strictEqual(getScheme('nope'), getScheme('learner'));
+  assert.strictEqual(transliterate('чай', 'nope'), 'chay');
+  assert.strictEqual(transliterate('', 'learner'), '');
+});